@@ -0,0 +1,399 @@
+/**
+ * Aggregation of the rows of pie charts.
+ *
+ * Pie charts draw slices rather than rows: the rows are filtered, grouped,
+ * and the values of each group reduced to one number before the pie layout
+ * runs. See the aggregation option of renderChart(). Small slices are then
+ * grouped into one (see the pie option and groupSmallSlices()), and slices
+ * with negative values set aside (see the negatives option and
+ * arrangeSlices()), in rings drawn by drawPieRings().
+ */
+
+/**
+ * Ways of reducing the values of a group to one number, by name.
+ *
+ * Each has reduce(values), describe(column) naming the result in chart
+ * titles, such as "the mean of amount", caption(column) naming it under
+ * the total of donut charts, such as "mean amount", and plural, naming
+ * several results such as "means".
+ */
+const aggregationMethods = {
+    sum: { reduce: values => d3.sum(values), describe: column => `the total of ${column}`, caption: column => `total ${column}`, plural: 'totals' },
+    mean: { reduce: values => d3.mean(values), describe: column => `the mean of ${column}`, caption: column => `mean ${column}`, plural: 'means' },
+    median: { reduce: values => d3.median(values), describe: column => `the median of ${column}`, caption: column => `median ${column}`, plural: 'medians' },
+    count: { reduce: values => values.length, describe: () => 'the number of rows', caption: () => 'rows', plural: 'row counts' },
+    min: { reduce: values => d3.min(values), describe: column => `the minimum of ${column}`, caption: column => `minimum ${column}`, plural: 'minimums' },
+    max: { reduce: values => d3.max(values), describe: column => `the maximum of ${column}`, caption: column => `maximum ${column}`, plural: 'maximums' },
+};
+
+/**
+ * Format aggregated values in slice labels: means and medians are rounded
+ * to two decimals, such as 40.27, and large values grouped, such as 1,250.
+ */
+const formatAggregate = d3.format(',.2~f');
+
+/**
+ * Compare a value of a row with a bound of the aggregation filter.
+ *
+ * Numbers, such as weeks, are compared as numbers and anything else as
+ * text, which also orders dates written as 2024-03-01.
+ *
+ * @param {string|number} value
+ *   The value of the row.
+ * @param {string|number} bound
+ *   filter.from or filter.to.
+ *
+ * @return {number}
+ *   Negative if value comes before bound, 0 if equal, positive otherwise.
+ */
+function compareToBound(value, bound) {
+    if (isNumericValue(String(value)) && isNumericValue(String(bound))) {
+        return value - bound;
+    }
+    return d3.ascending(String(value), String(bound));
+}
+
+/**
+ * Filter, group and aggregate the rows of a pie chart.
+ *
+ * @param {object} loaded
+ *   The parsed data, as returned by loadChartData().
+ * @param {object} aggregation
+ *   The aggregation option, {groupBy, method, filter}, see renderChart().
+ *   The filter's column defaults to the x column.
+ * @param {string|null} groupBy
+ *   The column whose values name the groups, or null to aggregate all the
+ *   rows together.
+ *
+ * @return {object}
+ *   {rows, groups}: rows are the rows kept by the filter, and groups lists,
+ *   in the order of their first row, {key, values} where key is the value
+ *   of groupBy (null without groupBy) and values maps each value column to
+ *   its aggregated value.
+ *   Throws a ChartDataError if a column is missing or no row matches the
+ *   filter.
+ */
+function aggregateRows(loaded, aggregation, groupBy) {
+    const { data, columns } = loaded;
+    const valueColumns = [].concat(columns.y);
+    const filter = aggregation.filter;
+    const filterColumn = filter && (filter.column || columns.x);
+
+    const missing = [groupBy, filterColumn].filter(column => column && !data.columns.includes(column));
+    if (missing.length > 0) {
+        throw new ChartDataError(`Column(s) ${missing.join(', ')} of the aggregation option not found in the data, which has ${data.columns.join(', ')}.`);
+    }
+
+    let rows = data;
+    if (filter) {
+        // Either bound may be left out, for example to keep the rows from week 10 on.
+        const isSet = bound => bound !== undefined && bound !== null;
+        rows = data.filter(d => (!isSet(filter.from) || compareToBound(d[filterColumn], filter.from) >= 0)
+            && (!isSet(filter.to) || compareToBound(d[filterColumn], filter.to) <= 0));
+        if (rows.length === 0) {
+            const from = isSet(filter.from) ? filter.from : 'the first';
+            const to = isSet(filter.to) ? filter.to : 'the last';
+            throw new ChartDataError(`No row has a ${filterColumn} between ${from} and ${to}.`);
+        }
+    }
+
+    const method = aggregationMethods[aggregation.method];
+    const groups = d3.groups(rows, d => groupBy ? d[groupBy] : null).map(([key, groupRows]) => {
+        const values = {};
+        valueColumns.forEach(column => values[column] = method.reduce(groupRows.map(d => d[column])));
+        return { key, values };
+    });
+
+    return { rows, groups };
+}
+
+/**
+ * Label of the slice grouping the small slices, see groupSmallSlices().
+ */
+const otherSliceLabel = 'Other';
+
+/**
+ * Group the slices too small to read into one "Other" slice.
+ *
+ * Slices are compared with the total of the slices of the same sign, the
+ * pie or ring they are drawn in (see arrangeSlices()), and grouped by sign:
+ * small negative values form their own "Other" slice. A single small slice
+ * is kept as it is, being no smaller than the "Other" slice would be.
+ *
+ * @param {object[]} slices
+ *   The slices, in order.
+ * @param {function} value
+ *   Returns the value of a slice.
+ * @param {number} threshold
+ *   Share of the total under which a slice is grouped, such as 0.03 for
+ *   3%, or 0 to keep every slice.
+ * @param {function} other
+ *   Called with the grouped slices and the sum of their values, returns the
+ *   "Other" slice, labelled otherSliceLabel.
+ *
+ * @return {object[]}
+ *   The slices which are kept, in order, then the "Other" slices.
+ */
+function groupSmallSlices(slices, value, threshold, other) {
+    if (threshold === 0) {
+        return slices;
+    }
+    const isNegative = slice => value(slice) < 0;
+    const total = negative => d3.sum(slices.filter(slice => isNegative(slice) === negative), slice => Math.abs(value(slice)));
+    const totals = { true: total(true), false: total(false) };
+    const small = slices.filter(slice => Math.abs(value(slice)) < threshold * totals[isNegative(slice)]);
+
+    const groups = [false, true]
+        .map(negative => small.filter(slice => isNegative(slice) === negative))
+        .filter(group => group.length > 1);
+    const grouped = groups.flat();
+    return slices
+        .filter(slice => !grouped.includes(slice))
+        .concat(groups.map(group => other(group, d3.sum(group, value))));
+}
+
+/**
+ * Ways of drawing pie charts whose slices have negative values, see the
+ * negatives option of renderChart() and arrangeSlices().
+ */
+const negativePolicies = ['drop', 'absolute', 'split'];
+
+/**
+ * Most slices named in the notice of arrangeSlices(), the others are
+ * counted.
+ */
+const maxNoticeNames = 5;
+
+/**
+ * Arrange the slices of a pie chart in rings, by the sign of their values.
+ *
+ * A pie shows the parts of a whole: a negative value has no angle, and
+ * summing values of both signs gives a whole smaller than its parts. How
+ * negative values are drawn depends on policy:
+ *   - "drop": negative slices are left out;
+ *   - "absolute": slices are sized by their absolute value;
+ *   - "split": positive slices form the pie and negative slices, sized by
+ *     their absolute value, a ring around it.
+ * Whatever the policy, a notice says which values are negative and
+ * suggests a diverging bar chart, which shows values of both signs. Values
+ * which are all zero leave nothing to draw, which a notice says as well.
+ *
+ * @param {object[]} slices
+ *   The slices, in order.
+ * @param {function} value
+ *   Returns the value of a slice.
+ * @param {function} name
+ *   Returns the name of a slice, such as "week 3", for the notice.
+ * @param {string} policy
+ *   One of negativePolicies.
+ *
+ * @return {object}
+ *   {rings, notice}: rings lists the rings to draw, from the centre out,
+ *   each an array of slices to size by the absolute value of value();
+ *   notice explains how negative values are drawn, or that every value is
+ *   zero, or is null if neither applies.
+ *   Throws a ChartDataError if no slice is left to draw.
+ */
+function arrangeSlices(slices, value, name, policy) {
+    const negative = slices.filter(slice => value(slice) < 0);
+    const positive = slices.filter(slice => value(slice) >= 0);
+    if (negative.length === 0) {
+        const empty = d3.sum(slices, value) === 0;
+        return {
+            rings: [slices],
+            notice: empty ? 'Every value is zero, so the pie has no slice to draw. A pie chart only shows the parts of a positive whole: a bar chart would show these values.' : null,
+        };
+    }
+
+    const names = negative.slice(0, maxNoticeNames).map(name).join(', ')
+        + (negative.length > maxNoticeNames ? ` and ${negative.length - maxNoticeNames} more` : '');
+    const suggestion = 'A pie chart only shows the parts of a positive whole: a diverging bar chart would show values of both signs.';
+
+    if (policy === 'drop') {
+        if (d3.sum(positive, value) === 0) {
+            throw new ChartDataError('Every value is negative or zero, so the pie chart has no slice to draw; set negatives.policy to "absolute" or "split" to draw negative values.');
+        }
+        return { rings: [positive], notice: `${negative.length} negative value(s) are not shown: ${names}. ${suggestion}` };
+    }
+    if (policy === 'split' && positive.length > 0) {
+        return {
+            rings: [positive, negative],
+            notice: `The ring around the pie shows the negative values, by their absolute value: ${names}. ${suggestion}`,
+        };
+    }
+    return { rings: [slices], notice: `Slices are sized by their absolute value; these values are negative: ${names}. ${suggestion}` };
+}
+
+/**
+ * Add up the slices drawn in the rings of arrangeSlices(), for the total
+ * written in the hole of a donut chart.
+ *
+ * Slices left out by the negatives policy aren't counted, so the total is
+ * that of the picture; negative slices drawn (with the "split" and
+ * "absolute" policies) are subtracted, which makes it a net total.
+ *
+ * @param {Array[]} rings
+ *   The rings, as arrangeSlices() returns them.
+ * @param {function} value
+ *   Returns the value of a slice.
+ *
+ * @return {object}
+ *   {total, net}: net is true if negative slices were subtracted.
+ */
+function sumRings(rings, value) {
+    const slices = rings.flat();
+    return { total: d3.sum(slices, value), net: slices.some(slice => value(slice) < 0) };
+}
+
+/**
+ * Work out the share of a slice in its ring, for its label and its
+ * description.
+ *
+ * @param {Array[]} rings
+ *   The rings, as arrangeSlices() returns them.
+ * @param {object} slice
+ *   A slice of one of the rings.
+ * @param {function} value
+ *   Returns the value of a slice.
+ *
+ * @return {number}
+ *   The absolute value of the slice over the total of the absolute values
+ *   of its ring, or 0 if the ring is all zeros.
+ */
+function ringShare(rings, slice, value) {
+    const ring = rings.find(ring => ring.includes(slice));
+    const total = d3.sum(ring, d => Math.abs(value(d)));
+    return total ? Math.abs(value(slice)) / total : 0;
+}
+
+/**
+ * Work out where a ring of arrangeSlices() is drawn.
+ *
+ * @param {number} index
+ *   The ring, 0 for the pie in the centre.
+ * @param {number} count
+ *   The number of rings.
+ * @param {number} radius
+ *   The outer radius of the chart.
+ * @param {number} hole
+ *   The radius of the hole of a donut chart, as a share of the radius of
+ *   the pie in the centre, see the pie option; 0 for a pie.
+ *
+ * @return {number[]}
+ *   [innerRadius, outerRadius] of the ring.
+ */
+function ringRadii(index, count, radius, hole = 0) {
+    if (count === 1) {
+        return [radius * hole, radius];
+    }
+    // The pie fills 60% of the radius, and the ring of negative values the outside.
+    return index === 0 ? [radius * 0.6 * hole, radius * 0.6] : [radius * 0.65, radius];
+}
+
+/**
+ * Angles each slice path was last drawn with, see drawPieRings().
+ */
+const drawnSliceAngles = d3.local();
+
+/**
+ * Draw the rings of arrangeSlices(), or move them to new values.
+ *
+ * Each ring is a pie of its own, the first one in the centre. Slices are
+ * joined to their paths by key, so when the chart is updated the slices
+ * turn from their old angles to the new ones, new slices open from their
+ * start angle and removed slices close and fade out.
+ *
+ * @param {object} svg
+ *   The D3 selection of the group the pie is drawn in, centred on the pie.
+ * @param {Array[]} rings
+ *   The rings, as arrangeSlices() returns them.
+ * @param {object} layout
+ *   {value, key, color}: functions returning the value of a slice (sized by
+ *   its absolute value), its key, such as its label, and its colour.
+ * @param {number} radius
+ *   The outer radius of the chart.
+ * @param {number} hole
+ *   The radius of the hole of a donut chart, see ringRadii().
+ * @param {number} duration
+ *   Length of the move to the new values in milliseconds, 0 to draw at
+ *   once.
+ *
+ * @return {object[]}
+ *   The slices of every ring, {arc, radii}, where arc is what d3.pie()
+ *   returns for the slice and radii the [innerRadius, outerRadius] of its
+ *   ring, for drawSliceLabels().
+ */
+function drawPieRings(svg, rings, layout, radius, hole, duration = 0) {
+    const pie = d3.pie().value(slice => Math.abs(layout.value(slice)));
+    const slices = [];
+
+    svg.selectAll('g.ring')
+        .data(rings)
+        .join(
+            // Rings go under the labels and the total.
+            enter => enter.insert('g', '.slice-labels, .pie-total')
+                .attr('class', 'ring'),
+            update => update,
+            exit => exit.remove()
+        )
+        .each(function(ring, i) {
+            const radii = ringRadii(i, rings.length, radius, hole);
+            const arc = d3.arc().innerRadius(radii[0]).outerRadius(radii[1]);
+            const arcs = pie(ring);
+            arcs.forEach(d => slices.push({ arc: d, radii }));
+
+            // Turn a path from the angles it was drawn with to those of its slice.
+            function turn(d) {
+                const interpolate = d3.interpolate(drawnSliceAngles.get(this), { startAngle: d.startAngle, endAngle: d.endAngle });
+                drawnSliceAngles.set(this, interpolate(1));
+                return t => arc(Object.assign({}, d, interpolate(t)));
+            }
+
+            const paths = d3.select(this).selectAll('g.arc')
+                .data(arcs, d => layout.key(d.data))
+                .join(
+                    enter => {
+                        const g = enter.append('g')
+                            .attr('class', 'arc');
+                        g.append('path')
+                            .each(function(d) {
+                                drawnSliceAngles.set(this, { startAngle: d.startAngle, endAngle: d.startAngle });
+                            });
+                        return g;
+                    },
+                    update => update,
+                    exit => {
+                        // Out of the .arc selections, which list the slices shown.
+                        exit.attr('class', null)
+                            .transition()
+                            .duration(duration)
+                            .style('opacity', 0)
+                            .remove();
+                        exit.select('path')
+                            .transition()
+                            .duration(duration)
+                            .attrTween('d', function() {
+                                const { endAngle } = drawnSliceAngles.get(this);
+                                return turn.call(this, { startAngle: endAngle, endAngle });
+                            });
+                    }
+                )
+                .select('path')
+                .style('fill', d => layout.color(d.data));
+
+            if (duration) {
+                paths.transition()
+                    .duration(duration)
+                    .attrTween('d', turn);
+            }
+            else {
+                paths.interrupt()
+                    .attr('d', arc)
+                    .each(function(d) {
+                        drawnSliceAngles.set(this, { startAngle: d.startAngle, endAngle: d.endAngle });
+                    });
+            }
+        });
+
+    return slices;
+}
@@ -0,0 +1,272 @@
+/**
+ * Annotations of line charts: reference lines, shaded bands and labelled
+ * markers.
+ *
+ * Annotations are given in the annotations option, inline or in a CSV file
+ * of their own, and are read with the data (see loadAnnotations()) so that
+ * their x values are dates or numbers like those of the chart. Charts draw
+ * them with drawAnnotations() each time their scales change, so they stay
+ * in place when the y axis is rescaled, the x axis zoomed or the chart
+ * resized.
+ */
+
+/**
+ * Kinds of annotations, by type, each with the fields it needs: one of the
+ * lists of fields must all be set.
+ *   - line: a vertical line at x, or a horizontal line at y.
+ *   - band: a shaded range from x to x2, or from y to y2.
+ *   - marker: a dot at x and y.
+ */
+const annotationTypes = {
+    line: [['x'], ['y']],
+    band: [['x', 'x2'], ['y', 'y2']],
+    marker: [['x', 'y']],
+};
+
+/**
+ * Fields of an annotation, also the columns of an annotations CSV file.
+ */
+const annotationFields = ['type', 'x', 'x2', 'y', 'y2', 'label', 'axis', 'color'];
+
+/**
+ * Whether a field of an annotation is set: empty cells of a CSV file are
+ * not.
+ *
+ * @param {*} value
+ *   The value of the field.
+ *
+ * @return {bool}
+ */
+function isAnnotationValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Check the type and fields of an annotation.
+ *
+ * @param {object} annotation
+ *   The annotation, inline or a row of an annotations CSV file.
+ *
+ * @return {string|null}
+ *   What is wrong with it, or null if it can be drawn.
+ */
+function annotationProblem(annotation) {
+    if (!annotation || typeof annotation !== 'object') {
+        return 'must be an object such as {type: "line", y: 100}';
+    }
+    const shapes = annotationTypes[annotation.type];
+    if (!shapes) {
+        return `has type "${annotation.type}", which must be one of ${Object.keys(annotationTypes).join(', ')}`;
+    }
+    const needs = `is a ${annotation.type}, which needs ${shapes.map(shape => shape.join(' and ')).join(', or ')}`;
+    const matching = shapes.filter(shape => shape.every(field => isAnnotationValue(annotation[field])));
+    if (matching.length === 0) {
+        return needs;
+    }
+    // A line at both x and y would be ambiguous.
+    if (matching.length > 1) {
+        return `${needs}, not both`;
+    }
+    if (isAnnotationValue(annotation.axis) && !['left', 'right'].includes(annotation.axis)) {
+        return 'has an axis which must be "left" or "right"';
+    }
+    return null;
+}
+
+/**
+ * Convert annotations to the values of the chart's scales.
+ *
+ * @param {object[]} rows
+ *   The annotations, inline or the rows of an annotations CSV file.
+ * @param {object} xAxisValues
+ *   What parseXColumn() returned for the data, whose parse() reads x values
+ *   written as strings.
+ * @param {string} name
+ *   Where the annotations come from, for error messages.
+ * @param {number} firstRow
+ *   Number of the first annotation in error messages: 2 for a CSV file,
+ *   whose first row is the header, 1 for inline annotations.
+ *
+ * @return {object[]}
+ *   The annotations, {type, x, x2, y, y2, label, axis, color}: x values are
+ *   dates or numbers like those of the data, y values are numbers, unset
+ *   fields are null and axis is "left" unless set.
+ *
+ * @throws {ChartDataError}
+ *   If an annotation can't be drawn.
+ */
+function parseAnnotations(rows, xAxisValues, name, firstRow) {
+    const issues = [];
+    const annotations = rows.map((row, i) => {
+        const problem = annotationProblem(row);
+        if (problem) {
+            issues.push({ row: i + firstRow, column: 'type', value: row && row.type, message: problem });
+            return null;
+        }
+
+        const annotation = {};
+        annotationFields.forEach(field => annotation[field] = isAnnotationValue(row[field]) ? row[field] : null);
+        annotation.axis = annotation.axis || 'left';
+        annotation.label = annotation.label === null ? null : String(annotation.label);
+
+        // Inline annotations may already have dates and numbers.
+        ['x', 'x2'].filter(field => typeof annotation[field] === 'string').forEach(field => {
+            annotation[field] = xAxisValues.parse(annotation[field].trim());
+        });
+        ['y', 'y2'].filter(field => annotation[field] !== null).forEach(field => {
+            annotation[field] = typeof annotation[field] === 'string' && isNumericValue(annotation[field])
+                ? +annotation[field] : annotation[field];
+        });
+        ['x', 'x2', 'y', 'y2'].filter(field => annotation[field] !== null).forEach(field => {
+            const value = annotation[field];
+            const expected = field.startsWith('x') && xAxisValues.isDate ? 'a date' : 'a number';
+            const valid = expected === 'a date' ? value instanceof Date && !isNaN(value) : typeof value === 'number' && isFinite(value);
+            if (!valid) {
+                issues.push({ row: i + firstRow, column: field, value: row[field], message: `is not ${expected}` });
+            }
+        });
+        return annotation;
+    });
+
+    if (issues.length > 0) {
+        throw new ChartDataError(`${issues.length} annotation value(s) of ${name} can't be placed on the chart.`, issues);
+    }
+    return annotations;
+}
+
+/**
+ * Read the annotations of a chart.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart(), whose annotations option
+ *   has inline items and the source of an annotations CSV file, if any.
+ * @param {object} xAxisValues
+ *   What parseXColumn() returned for the data, or null for charts without
+ *   an x axis, which have no annotations.
+ * @param {object} init
+ *   Optional fetch() options used to load the CSV file.
+ *
+ * @return {Promise}
+ *   Resolves with the annotations as parseAnnotations() returns them, the
+ *   inline ones first, or rejects with a ChartDataError if one can't be
+ *   drawn.
+ */
+function loadAnnotations(options, xAxisValues, init) {
+    const { items, source } = options.annotations;
+    if (xAxisValues === null) {
+        return Promise.resolve([]);
+    }
+
+    const inline = Promise.resolve().then(() => parseAnnotations(items, xAxisValues, 'the annotations option', 1));
+    const fromFile = source === null
+        ? Promise.resolve([])
+        : readChartSource(source, options.input, init)
+            // Text, files and rows aren't named after the annotations, unlike locations.
+            .then(({ data, name }) => parseAnnotations(data, xAxisValues, isSourceLocation(source) ? name : 'annotations.source', 2));
+    return Promise.all([inline, fromFile]).then(([first, second]) => first.concat(second));
+}
+
+/**
+ * Draw annotations, or move them to new scales.
+ *
+ * Annotations outside the x and y domains are hidden, and bands cut to
+ * them.
+ *
+ * @param {object} layer
+ *   The D3 selection of the group the annotations are drawn in, inside the
+ *   margins. Drawing again in the same group moves the annotations.
+ * @param {object[]} annotations
+ *   The annotations, as loadAnnotations() resolves with them.
+ * @param {object} scales
+ *   {x, y, yRight, width, height}: the scales of the chart, yRight for the
+ *   annotations of the right y axis (y if unset), and the size of the area
+ *   inside the margins.
+ * @param {object} theme
+ *   The theme, see resolveChartTheme().
+ * @param {number} duration
+ *   Length of the move to the new scales in milliseconds, 0 to move at
+ *   once.
+ */
+function drawAnnotations(layer, annotations, scales, theme, duration = 0) {
+    const { x, width, height } = scales;
+    const yOf = annotation => annotation.axis === 'right' && scales.yRight ? scales.yRight : scales.y;
+    const clamp = (value, max) => Math.max(0, Math.min(max, value));
+    const inside = (value, max) => value >= 0 && value <= max;
+    // Labels go above their mark, or under it at the top of the chart.
+    const above = (py, gap) => py - gap < theme.fontSize ? py + gap + theme.fontSize : py - gap;
+    const move = selection => duration ? selection.transition().duration(duration) : selection;
+
+    /*
+        Each annotation is worked out as a box in pixels, {x0, x1, y0, y1},
+        and where its label goes, {labelX, labelY, anchor}.
+    */
+    const placed = annotations.map(annotation => {
+        const y = yOf(annotation);
+        let box;
+        let visible;
+        if (annotation.type === 'marker') {
+            const px = x(annotation.x);
+            const py = y(annotation.y);
+            visible = inside(px, width) && inside(py, height);
+            box = { x0: px, x1: px, y0: py, y1: py, labelX: px, labelY: above(py, 8), anchor: 'middle' };
+        }
+        else if (annotation.x !== null) {
+            // Vertical lines and bands span the height, labelled at the top.
+            const [from, to] = [annotation.x, annotation.type === 'band' ? annotation.x2 : annotation.x].map(x).sort((a, b) => a - b);
+            visible = annotation.type === 'band' ? to >= 0 && from <= width : inside(from, width);
+            box = { x0: clamp(from, width), x1: clamp(to, width), y0: 0, y1: height, labelX: clamp(from, width) + 4, labelY: 12, anchor: 'start' };
+        }
+        else {
+            // Horizontal lines and bands span the width, labelled on the right.
+            const [top, bottom] = [annotation.y, annotation.type === 'band' ? annotation.y2 : annotation.y].map(y).sort((a, b) => a - b);
+            visible = annotation.type === 'band' ? bottom >= 0 && top <= height : inside(top, height);
+            box = { x0: 0, x1: width, y0: clamp(top, height), y1: clamp(bottom, height), labelX: width - 4, labelY: above(clamp(top, height), 4), anchor: 'end' };
+        }
+        return Object.assign({ annotation, visible }, box);
+    });
+
+    // Annotations don't get in the way of the tooltip and the zoom.
+    layer.attr('class', 'annotations')
+        .style('pointer-events', 'none');
+    const groups = layer.selectAll('g.annotation')
+        .data(placed, (d, i) => `${i}-${d.annotation.type}`)
+        .join(enter => {
+            const group = enter.append('g')
+                .attr('class', d => `annotation annotation-${d.annotation.type}`);
+            group.filter(d => d.annotation.type === 'line').append('line');
+            group.filter(d => d.annotation.type === 'band').append('rect');
+            group.filter(d => d.annotation.type === 'marker').append('circle')
+                .attr('r', 4);
+            group.append('text')
+                .attr('font-size', theme.fontSize)
+                .style('fill', theme.foreground);
+            return group;
+        })
+        .style('display', d => d.visible ? null : 'none');
+    const color = d => d.annotation.color || theme.foreground;
+
+    move(groups.select('line'))
+        .attr('x1', d => d.x0)
+        .attr('x2', d => d.x1)
+        .attr('y1', d => d.y0)
+        .attr('y2', d => d.y1)
+        .style('stroke', color)
+        .style('stroke-dasharray', '4 4');
+    move(groups.select('rect'))
+        .attr('x', d => d.x0)
+        .attr('width', d => d.x1 - d.x0)
+        .attr('y', d => d.y0)
+        .attr('height', d => d.y1 - d.y0)
+        .style('fill', color)
+        .style('fill-opacity', 0.1);
+    move(groups.select('circle'))
+        .attr('cx', d => d.x0)
+        .attr('cy', d => d.y0)
+        .style('fill', color);
+    groups.select('text')
+        .style('text-anchor', d => d.anchor)
+        .text(d => d.annotation.label);
+    move(groups.select('text'))
+        .attr('x', d => d.labelX)
+        .attr('y', d => d.labelY);
+}
@@ -0,0 +1,502 @@
+/**
+ * Ways of laying out the bars of each group, see the bars option:
+ *   - grouped: side by side, each from zero.
+ *   - stacked: on top of each other; values must not be negative.
+ *   - diverging: positive values stacked up from zero and negative values
+ *     down, or right and left for horizontal bars.
+ */
+const barLayouts = ['grouped', 'stacked', 'diverging'];
+
+/**
+ * Directions of the bars, see the bars option: "vertical" bars rise from
+ * an x axis of groups, "horizontal" bars extend from a y axis of groups.
+ */
+const barOrientations = ['vertical', 'horizontal'];
+
+/**
+ * Past this number of bars, bars are drawn without animations.
+ */
+const maxAnimatedBars = 2000;
+
+/**
+ * Display a bar chart.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart(), see render-chart.js. The
+ *   source is a location such as data/multivalued-1000-rows-20-columns.csv;
+ *   columns.x is the column naming the groups of bars, such as "week", and
+ *   columns.y the array of columns drawn as bars in each group. The bars
+ *   option sets the layout and orientation of the bars.
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
+ *
+ * See https://d3-graph-gallery.com/barplot.html.
+ */
+function barChart(options) {
+    const chartLocation = options.target;
+    const margin = options.margin;
+    // Size of the area where the bars are drawn, inside the margins.
+    let width = options.size.width - margin.left - margin.right;
+    let height = options.size.height - margin.top - margin.bottom;
+    const horizontal = options.bars.orientation === 'horizontal';
+    const layout = options.bars.layout;
+
+    /*
+        Create SVG element
+        chartLocation is a selector string or a reference to an
+        existing HTML element where the SVG will be inserted.
+        The group inside it is moved by the margins, so the bars are
+        drawn from (0, 0) to (width, height).
+    */
+    const svg = d3.select(chartLocation).append('svg')
+        .attr('width', options.size.width)
+        .attr('height', options.size.height)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Background and font of the theme, see chart-themes.js.
+    applyChartTheme(svg.node().ownerSVGElement, options.theme);
+
+    /*
+        Read and parse the CSV file (see csv-schema.js), which converts the
+        value columns to numbers. The rows are then grouped and aggregated
+        (see aggregation.js) into the groups of bars.
+        They are replaced when the chart is updated with new data.
+    */
+    return createChartHandle(options, svg.node().ownerSVGElement, (loaded, handle, viewChanged) => {
+        let columns = loaded.columns.y;
+        let { labelColumn, groups } = barGroups(loaded);
+        // Colors of the theme, each column keeping its color when the chart is updated.
+        const color = createColorScale(options.theme, columns);
+
+        /*
+            The groups of bars (see aggregation.js): the rows are filtered
+            and grouped by the groupBy column, by default columns.x, and the
+            values of each group summed (or averaged, counted...), so that
+            with unique labels and the default sum there is a group per row
+            of the CSV file. Each group is {key, values}, values mapping
+            each column to its value.
+            Stacked bars can't show negative values, the diverging layout
+            does.
+        */
+        function barGroups(loaded) {
+            const labelColumn = options.aggregation.groupBy || loaded.columns.x;
+            const { groups } = aggregateRows(loaded, options.aggregation, labelColumn);
+            if (layout === 'stacked') {
+                const negative = loaded.columns.y.filter(column => groups.some(group => group.values[column] < 0));
+                if (negative.length > 0) {
+                    throw new ChartDataError(`Column(s) ${negative.join(', ')} have negative values, which stacked bars can't show: set bars.layout to "diverging" to stack them below zero.`);
+                }
+            }
+            return { labelColumn, groups };
+        }
+
+        /*
+            Define scales
+            The groups are placed by a band scale, which divides the length
+            of the axis into one band per group, with some padding. With the
+            grouped layout each band is divided again into one band per
+            selected column. Values are placed by a linear scale, which
+            always includes zero, where bars start.
+            Groups are identified by their index, since their labels may
+            repeat; the axis writes their labels.
+        */
+        const band = d3.scaleBand().padding(0.2);
+        const columnBand = d3.scaleBand().padding(0.05);
+        const value = d3.scaleLinear();
+        const setRanges = () => {
+            band.range(horizontal ? [0, height] : [0, width]);
+            value.range(horizontal ? [0, width] : [height, 0]);
+        };
+        setRanges();
+
+        /*
+            Axes: the groups on the x axis and the values on the y axis, or
+            the other way round for horizontal bars. The axes option hides
+            the x (bottom) or y (left) axis.
+            Grid lines follow the value ticks, and a line marks zero when
+            values are negative.
+        */
+        const bandAxis = () => {
+            const axis = horizontal ? d3.axisLeft(band) : d3.axisBottom(band);
+            // Only some labels are written when there are too many groups for their width.
+            const every = Math.ceil(groups.length / Math.max(1, Math.floor((horizontal ? height / 14 : width / 40))));
+            return axis
+                .tickValues(band.domain().filter(index => index % every === 0))
+                .tickFormat(index => groups[index].key);
+        };
+        const valueAxis = () => horizontal ? d3.axisBottom(value) : d3.axisLeft(value);
+        const gridAxis = () => (horizontal ? d3.axisBottom(value).tickSize(-height) : d3.axisLeft(value).tickSize(-width))
+            .tickFormat('');
+
+        const grid = svg.append('g')
+            .attr('class', 'grid')
+            .style('color', options.theme.grid);
+        const barLayer = svg.append('g')
+            .attr('class', 'bars');
+        const zeroLine = svg.append('line')
+            .attr('class', 'zero-line')
+            .style('stroke', options.theme.axis);
+        const xAxisGroup = svg.append('g')
+            .attr('class', 'x-axis')
+            .style('display', options.axes.x ? null : 'none');
+        const yAxisGroup = svg.append('g')
+            .attr('class', 'y-axis')
+            .style('display', options.axes.y ? null : 'none');
+        const bandAxisGroup = horizontal ? yAxisGroup : xAxisGroup;
+        const valueAxisGroup = horizontal ? xAxisGroup : yAxisGroup;
+        const placeAxes = () => {
+            xAxisGroup.attr('transform', `translate(0,${height})`);
+            grid.attr('transform', horizontal ? `translate(0,${height})` : null);
+        };
+        placeAxes();
+
+        /*
+            Create dynamic checkboxes and legends, in a container of this
+            chart (see the legend option), as in multiple line charts:
+            unchecking a column removes its bars. setColumns() adds and
+            removes checkboxes when the chart is updated with data which
+            has other columns; checkboxes of the columns which remain keep
+            their state.
+        */
+        const checkboxContainer = addLegendContainer(chartLocation, options, 'checkbox-container');
+        const checkboxes = {};
+        function setColumns(newColumns) {
+            Object.keys(checkboxes)
+                .filter(column => !newColumns.includes(column))
+                .forEach(column => {
+                    d3.select(checkboxes[column].parentNode).remove();
+                    delete checkboxes[column];
+                });
+            columns = newColumns;
+
+            columns.forEach(column => {
+                if (!checkboxes[column]) {
+                    const label = checkboxContainer.append('label')
+                        .style('display', 'block');
+                    checkboxes[column] = label.append('input')
+                        .attr('type', 'checkbox')
+                        .attr('data-column', column)
+                        .property('checked', true)
+                        .on('change', () => {
+                            updateBars();
+                            viewChanged();
+                        })
+                        .node();
+                    label.append('span')
+                        .attr('class', 'bar-color')
+                        .html(' &#9632;');
+                    label.append('span')
+                        .text(` ${column}`);
+                }
+                // Keep the checkboxes in the order of the columns, in the colors of the bars.
+                checkboxContainer.node().appendChild(checkboxes[column].parentNode);
+                d3.select(checkboxes[column].parentNode).select('.bar-color')
+                    .style('color', color(column));
+            });
+        }
+        setColumns(columns);
+
+        // Columns whose checkbox is checked.
+        function selectedColumns() {
+            return columns.filter(column => checkboxes[column].checked);
+        }
+
+        /*
+            Lay out the bars of the selected columns: each bar is
+            {index, column, value, from, to}, where index is its group and
+            the bar spans from..to on the value scale.
+        */
+        function layOutBars(selected) {
+            return groups.flatMap((group, index) => {
+                // Ends of the stacks above and below zero.
+                let up = 0;
+                let down = 0;
+                return selected.map(column => {
+                    const barValue = group.values[column];
+                    let from = 0;
+                    if (layout === 'stacked' || (layout === 'diverging' && barValue >= 0)) {
+                        from = up;
+                        up += barValue;
+                    }
+                    else if (layout === 'diverging') {
+                        from = down;
+                        down += barValue;
+                    }
+                    return { index, column, value: barValue, from, to: from + barValue };
+                });
+            });
+        }
+
+        // The rectangle of a bar, or of a bar of no length at zero as bars grow from and shrink to.
+        function barRect(bar, flat) {
+            const position = band(bar.index) + (layout === 'grouped' ? columnBand(bar.column) : 0);
+            const thickness = layout === 'grouped' ? columnBand.bandwidth() : band.bandwidth();
+            const [low, high] = flat ? [0, 0] : [Math.min(bar.from, bar.to), Math.max(bar.from, bar.to)];
+            const start = flat ? value(0) : Math.min(value(low), value(high));
+            const length = Math.abs(value(high) - value(low));
+            return horizontal
+                ? { x: start, y: position, width: length, height: thickness }
+                : { x: position, y: start, width: thickness, height: length };
+        }
+        const applyRect = (selection, flat) => selection
+            .attr('x', bar => barRect(bar, flat).x)
+            .attr('y', bar => barRect(bar, flat).y)
+            .attr('width', bar => barRect(bar, flat).width)
+            .attr('height', bar => barRect(bar, flat).height);
+
+        // Add tooltips
+        const tooltip = d3.select(chartLocation).append('div')
+            .attr('class', 'tooltip')
+            .style('opacity', 0)
+            .style('position', 'absolute')
+            .style('background-color', options.theme.tooltip.background)
+            .style('color', options.theme.tooltip.color)
+            .style('border', options.theme.tooltip.border)
+            .style('padding', '5px')
+            .style('border-radius', '4px');
+
+        // List the values of the selected columns of a group, highest first, labelled with the group.
+        function showTooltip(event, group) {
+            tooltip.selectAll('*').remove();
+            tooltip.append('div')
+                .style('font-weight', 'bold')
+                .text(`${labelColumn}: ${group.key}`);
+            d3.sort(selectedColumns(), column => -group.values[column]).forEach(column => {
+                const item = tooltip.append('div');
+                item.append('span')
+                    .style('color', color(column))
+                    .html('&#9632; ');
+                item.append('span')
+                    .text(`${column}: ${formatAggregate(group.values[column])}`);
+            });
+            tooltip
+                .style('left', `${event.pageX + 5}px`)
+                .style('top', `${event.pageY - 28}px`);
+        }
+
+        /*
+            Update function for bars
+            The function first determines which columns should be visible
+            based on the state of the checkboxes, then fits the scales to
+            their bars and moves the axes and the bars.
+            transitionDuration is 0 to update without animation, as when
+            resizing.
+        */
+        function updateBars(transitionDuration = null) {
+            const selected = selectedColumns();
+            const bars = layOutBars(selected);
+            const duration = transitionDuration !== null ? transitionDuration
+                : groups.length * columns.length > maxAnimatedBars ? 0 : 750;
+
+            band.domain(d3.range(groups.length));
+            columnBand.domain(selected).range([0, band.bandwidth()]);
+            value.domain(d3.extent([0].concat(bars.flatMap(bar => [bar.from, bar.to])))).nice();
+
+            bandAxisGroup
+                .call(bandAxis())
+                .call(applyAxisTheme, options.theme);
+            valueAxisGroup
+                .transition()
+                .duration(duration)
+                .call(valueAxis());
+            valueAxisGroup.call(applyAxisTheme, options.theme);
+            grid.transition()
+                .duration(duration)
+                .call(gridAxis());
+
+            const [x1, y1, x2, y2] = horizontal ? [value(0), 0, value(0), height] : [0, value(0), width, value(0)];
+            zeroLine
+                .style('display', value.domain()[0] < 0 ? null : 'none')
+                .transition()
+                .duration(duration)
+                .attr('x1', x1)
+                .attr('y1', y1)
+                .attr('x2', x2)
+                .attr('y2', y2);
+
+            /*
+                Join the bars to their rectangles, by group and column: new
+                bars grow from zero, removed bars fade out, and the others
+                move to their new place.
+                The hover area under the mouse shows the tooltip, see below.
+            */
+            barLayer.selectAll('rect.bar')
+                .data(bars, bar => `${bar.index}:${bar.column}`)
+                .join(
+                    enter => enter.append('rect')
+                        .attr('class', 'bar')
+                        .attr('data-column', bar => bar.column)
+                        .style('pointer-events', 'none')
+                        .call(applyRect, true),
+                    update => update,
+                    // Their group or column may be gone from the scales, so they fade out in place.
+                    exit => exit.transition()
+                        .duration(duration)
+                        .style('opacity', 0)
+                        .remove()
+                )
+                .style('fill', bar => color(bar.column))
+                .transition()
+                .duration(duration)
+                .call(applyRect, false);
+
+            placeHoverAreas();
+        }
+
+        /*
+            Hovering a group, anywhere across the chart, highlights it and
+            shows a tooltip listing the values of its bars. Thin bars are
+            hard to point at, so an invisible band per group, under the
+            bars, follows the mouse instead.
+        */
+        const hoverLayer = svg.insert('g', '.bars')
+            .attr('class', 'hover-areas');
+        function placeHoverAreas() {
+            hoverLayer.selectAll('rect')
+                .data(groups)
+                .join(enter => enter.append('rect')
+                    .attr('class', 'hover-area')
+                    .style('fill', options.theme.foreground)
+                    .style('fill-opacity', 0)
+                    .style('pointer-events', 'all')
+                    .on('mouseover', function() {
+                        d3.select(this).style('fill-opacity', 0.08);
+                        tooltip.transition().duration(200).style('opacity', .9);
+                    })
+                    .on('mousemove', (event, group) => showTooltip(event, group))
+                    .on('mouseout', function() {
+                        d3.select(this).style('fill-opacity', 0);
+                        tooltip.transition().duration(500).style('opacity', 0);
+                    }))
+                .attr('x', (group, index) => horizontal ? 0 : band(index))
+                .attr('y', (group, index) => horizontal ? band(index) : 0)
+                .attr('width', horizontal ? width : band.bandwidth())
+                .attr('height', horizontal ? band.bandwidth() : height);
+        }
+
+        // Initial rendering of bars and axes
+        updateBars();
+
+        // The CSV download contains the selected columns of each group.
+        if (options.export.enabled) {
+            addExportControls(chartLocation, svg.node().ownerSVGElement, options, () => {
+                const selected = selectedColumns();
+                return {
+                    columns: [labelColumn].concat(selected),
+                    rows: groups.map(group => Object.assign({ [labelColumn]: group.key },
+                        ...selected.map(column => ({ [column]: group.values[column] })))),
+                };
+            });
+        }
+
+        /*
+            Accessibility (see chart-accessibility.js): a title and a
+            description for screen readers, the arrow keys move through the
+            groups (left and right) and the selected columns (up and down)
+            showing the same tooltip as the mouse, and a button shows the
+            data as a table.
+        */
+        const chartTitle = () => options.accessibility.title || `Bar chart of ${columns.join(', ')} by ${labelColumn}`;
+        function describe() {
+            const values = groups.map(group => group.values);
+            const ranges = columns.map(column => describeRange(values, column)).join('; ');
+            describeChart(svg.node().ownerSVGElement, chartTitle(),
+                `${groups.length} groups of bars by ${labelColumn}, ${layout}; ${ranges}. ${keyboardHint}`);
+        }
+        describe();
+
+        addKeyboardNavigation(chartLocation, svg.node().ownerSVGElement, {
+            count: () => groups.length,
+            seriesCount: () => selectedColumns().length,
+            focus(index, series) {
+                const group = groups[index];
+                const column = selectedColumns()[series];
+                const bar = layOutBars(selectedColumns()).find(d => d.index === index && d.column === column);
+                const rect = barRect(bar, false);
+                // The focused bar is outlined.
+                svg.selectAll('.focus-outline')
+                    .data([bar])
+                    .join('rect')
+                    .attr('class', 'focus-outline')
+                    .attr('x', rect.x)
+                    .attr('y', rect.y)
+                    .attr('width', rect.width)
+                    .attr('height', rect.height)
+                    .style('fill', 'none')
+                    .style('stroke', options.theme.foreground)
+                    .style('stroke-width', 2);
+
+                // Place the tooltip by the bar, as the mouse would.
+                const box = svg.node().ownerSVGElement.getBoundingClientRect();
+                showTooltip({
+                    pageX: box.left + window.scrollX + margin.left + rect.x + rect.width,
+                    pageY: box.top + window.scrollY + margin.top + rect.y,
+                }, group);
+                tooltip.interrupt().style('opacity', .9);
+                return `${labelColumn} ${group.key}, ${column}: ${formatAggregate(group.values[column])}`;
+            },
+            blur() {
+                svg.selectAll('.focus-outline').remove();
+                tooltip.transition().duration(500).style('opacity', 0);
+            },
+        });
+
+        const dataTable = options.accessibility.table
+            ? addDataTable(chartLocation, () => ({
+                caption: chartTitle(),
+                columns: [labelColumn].concat(columns),
+                rows: groups.map(group => Object.assign({ [labelColumn]: group.key }, group.values)),
+            }))
+            : null;
+
+        /*
+            Display new data (see createChartHandle()): bars of new groups
+            and columns grow, and the others move to their new values.
+        */
+        function update(loaded) {
+            ({ labelColumn, groups } = barGroups(loaded));
+            setColumns(loaded.columns.y);
+            svg.selectAll('.focus-outline').remove();
+            updateBars();
+            describe();
+            if (dataTable) {
+                dataTable.refresh();
+            }
+        }
+
+        /*
+            Responsive charts (see render-chart.js) are laid out again in
+            place when resized, without animation.
+        */
+        function resize(size) {
+            width = size.width - margin.left - margin.right;
+            height = size.height - margin.top - margin.bottom;
+            d3.select(svg.node().ownerSVGElement)
+                .attr('width', size.width)
+                .attr('height', size.height);
+            setRanges();
+            placeAxes();
+            updateBars(0);
+        }
+
+        /*
+            The view, see getView() in createChartHandle(): the selected
+            columns. It is kept in the URL with the urlState option (see
+            url-state.js).
+        */
+        function getView() {
+            const selected = selectedColumns();
+            return { series: selected.length === columns.length ? null : selected };
+        }
+
+        function setView(view) {
+            // Columns the data no longer has are ignored.
+            columns.forEach(column => checkboxes[column].checked = !view.series || view.series.includes(column));
+            updateBars();
+        }
+
+        return { update, resize, getView, setView };
+    });
+}
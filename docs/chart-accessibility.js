@@ -0,0 +1,210 @@
+/**
+ * Tools to make charts usable with a keyboard and a screen reader.
+ *
+ * An SVG chart is a picture: screen readers only know what it shows if it
+ * is described, and its tooltips only appear under a mouse. See the
+ * accessibility option of renderChart().
+ */
+
+/**
+ * Sentence added to the description of charts which can be read with the
+ * keyboard, see addKeyboardNavigation().
+ */
+const keyboardHint = 'Focus the chart and use the arrow keys to read its values.';
+
+/**
+ * Format numbers in descriptions, such as 1,234.5.
+ */
+const describeNumber = d3.format(',');
+
+/**
+ * Give a chart an accessible name and description.
+ *
+ * The <svg> element gets a <title> and a <desc> which screen readers
+ * announce when reaching the chart. Call it again to update them, for
+ * example when the chart displays new data.
+ *
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart.
+ * @param {string} title
+ *   Short name of the chart, such as "Line chart of amount by week".
+ * @param {string} summary
+ *   What the chart shows, such as the range of each value column.
+ */
+function describeChart(svgNode, title, summary) {
+    const svg = d3.select(svgNode)
+        // "group" rather than "img", so the focusable parts of the chart stay reachable.
+        .attr('role', 'group');
+
+    ['title', 'desc'].reverse().forEach(tag => {
+        if (svg.select(`:scope > ${tag}`).empty()) {
+            svg.insert(tag, ':first-child').attr('id', uniqueChartId(tag));
+        }
+    });
+    const titleElement = svg.select(':scope > title').text(title);
+    const descElement = svg.select(':scope > desc').text(summary);
+
+    svg.attr('aria-labelledby', titleElement.attr('id'))
+        .attr('aria-describedby', descElement.attr('id'));
+}
+
+/**
+ * Describe the values of a column, such as "amount ranges from 1 to 40".
+ *
+ * @param {object[]} data
+ *   The rows, with the column converted to numbers.
+ * @param {string} column
+ *   The column to describe.
+ *
+ * @return {string}
+ *   The sentence, without final period.
+ */
+function describeRange(data, column) {
+    const [min, max] = d3.extent(data, d => d[column]);
+    return `${column} ranges from ${describeNumber(min)} to ${describeNumber(max)}`;
+}
+
+/**
+ * Let the keyboard move between the values of a chart.
+ *
+ * The chart is a single stop in the tab order. Once it has the focus, left
+ * and right (and Home and End) move between the points of a series, and up
+ * and down between series; each point is announced to screen readers and
+ * can be shown the way the mouse shows it, with a tooltip for example.
+ * Moving out of the chart with Tab hides it again.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart is displayed.
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart.
+ * @param {object} navigation
+ *   What to navigate:
+ *   - count(): the number of points in a series;
+ *   - seriesCount(): optional, the number of series, 1 by default;
+ *   - focus(index, series): show the point at index in the series and
+ *     return the text announced for it;
+ *   - blur(): hide what focus() showed.
+ *   The counts are read at every key press, so they may change, for example
+ *   when lines are hidden.
+ */
+function addKeyboardNavigation(chartLocation, svgNode, navigation) {
+    const seriesCount = () => navigation.seriesCount ? navigation.seriesCount() : 1;
+    let index = 0;
+    let series = 0;
+
+    // Announcements are read by screen readers but not displayed.
+    const liveRegion = d3.select(chartLocation).append('div')
+        .attr('class', 'chart-live')
+        .attr('aria-live', 'polite')
+        .style('position', 'absolute')
+        .style('width', '1px')
+        .style('height', '1px')
+        .style('overflow', 'hidden')
+        .style('clip', 'rect(0 0 0 0)')
+        .style('white-space', 'nowrap');
+
+    function show() {
+        const count = navigation.count();
+        if (count === 0 || seriesCount() === 0) {
+            navigation.blur();
+            liveRegion.text('No values are displayed.');
+            return;
+        }
+        index = Math.max(0, Math.min(index, count - 1));
+        series = Math.max(0, Math.min(series, seriesCount() - 1));
+        liveRegion.text(navigation.focus(index, series));
+    }
+
+    const moves = {
+        ArrowLeft: () => index -= 1,
+        ArrowRight: () => index += 1,
+        ArrowUp: () => series -= 1,
+        ArrowDown: () => series += 1,
+        Home: () => index = 0,
+        End: () => index = navigation.count() - 1,
+    };
+
+    d3.select(svgNode)
+        .attr('tabindex', 0)
+        .on('focus.keyboard', show)
+        .on('blur.keyboard', () => navigation.blur())
+        .on('keydown.keyboard', event => {
+            if (!moves[event.key]) {
+                return;
+            }
+            // Don't scroll the page.
+            event.preventDefault();
+            moves[event.key]();
+            show();
+        });
+}
+
+/**
+ * Add a button under a chart which shows its data as an HTML table.
+ *
+ * Tables are what screen readers navigate best, and they let anyone read
+ * the exact values. The table is only built when shown.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart is displayed.
+ * @param {function} getData
+ *   Returns the data as {caption, columns, rows}, where caption names the
+ *   table, columns lists the columns in order and rows are objects keyed by
+ *   column. The first column heads the rows.
+ *
+ * @return {object}
+ *   {refresh}: call refresh() when the data changes, to rebuild the table
+ *   if it is shown.
+ */
+function addDataTable(chartLocation, getData) {
+    const tableId = uniqueChartId('data-table');
+    const container = d3.select(chartLocation).append('div')
+        .attr('class', 'chart-data-table');
+    const button = container.append('button')
+        .attr('type', 'button')
+        .attr('aria-controls', tableId)
+        .attr('aria-expanded', 'false')
+        .text('Show data table');
+    const table = container.append('table')
+        .attr('id', tableId)
+        .property('hidden', true);
+
+    function fill() {
+        const { caption, columns, rows } = getData();
+        table.selectAll('*').remove();
+        table.append('caption').text(caption);
+        table.append('thead').append('tr')
+            .selectAll('th')
+            .data(columns)
+            .join('th')
+            .attr('scope', 'col')
+            .text(column => column);
+        table.append('tbody')
+            .selectAll('tr')
+            .data(rows)
+            .join('tr')
+            .selectAll('td')
+            .data(row => columns.map(column => row[column]))
+            .join(enter => enter.append((value, i) => document.createElement(i === 0 ? 'th' : 'td')))
+            .attr('scope', (value, i) => i === 0 ? 'row' : null)
+            .text(value => value);
+    }
+
+    button.on('click', () => {
+        const show = table.property('hidden');
+        if (show) {
+            fill();
+        }
+        table.property('hidden', !show);
+        button.attr('aria-expanded', String(show))
+            .text(show ? 'Hide data table' : 'Show data table');
+    });
+
+    return {
+        refresh() {
+            if (!table.property('hidden')) {
+                fill();
+            }
+        },
+    };
+}
@@ -0,0 +1,200 @@
+/**
+ * Style properties copied onto each element of an exported SVG.
+ *
+ * Charts are partly styled from the page's CSS (style.css, <style> blocks),
+ * which an SVG file opened on its own doesn't have, so the computed values
+ * of these properties are written on the elements themselves.
+ */
+const exportedStyleProperties = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-dasharray', 'opacity', 'visibility', 'display', 'font-family',
+    'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+];
+
+/**
+ * Serialize a chart as a standalone SVG document.
+ *
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart.
+ *
+ * @return {string}
+ *   The SVG markup, with styles inlined and canvas layers (see
+ *   createCanvasLayer()) replaced by images.
+ */
+function serializeChartSvg(svgNode) {
+    const clone = svgNode.cloneNode(true);
+    const originals = [svgNode].concat([...svgNode.querySelectorAll('*')]);
+    const copies = [clone].concat([...clone.querySelectorAll('*')]);
+
+    originals.forEach((original, i) => {
+        const computed = window.getComputedStyle(original);
+        exportedStyleProperties.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            if (value) {
+                copies[i].style.setProperty(property, value);
+            }
+        });
+    });
+
+    // A canvas can't be serialized, but the picture drawn on it can.
+    const canvases = [...svgNode.querySelectorAll('foreignObject')].map(foreignObject => foreignObject.querySelector('canvas'));
+    [...clone.querySelectorAll('foreignObject')].forEach((foreignObject, i) => {
+        const canvas = canvases[i];
+        if (canvas && canvas.toDataURL) {
+            const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+            image.setAttribute('width', foreignObject.getAttribute('width'));
+            image.setAttribute('height', foreignObject.getAttribute('height'));
+            image.setAttribute('href', canvas.toDataURL('image/png'));
+            foreignObject.replaceWith(image);
+        }
+        else {
+            foreignObject.remove();
+        }
+    });
+
+    // A file can't be navigated with the keyboard, see addKeyboardNavigation().
+    clone.removeAttribute('tabindex');
+
+    // XMLSerializer declares the SVG namespace, which standalone files need.
+    return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Make the browser download a file.
+ *
+ * @param {Blob} blob
+ *   The contents of the file.
+ * @param {string} filename
+ *   The name under which the file is saved.
+ */
+function downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before releasing the file.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Rasterize a chart as a PNG image.
+ *
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart.
+ * @param {number} scale
+ *   Scale of the image compared to the chart on screen, for example 2 for an
+ *   image twice as wide and high, sharp on high-density screens and in print.
+ * @param {string|null} background
+ *   Colour behind the chart, the background of its theme (see
+ *   chart-themes.js), or null for white.
+ *
+ * @return {Promise}
+ *   Resolves with the PNG image as a Blob.
+ */
+function renderChartPng(svgNode, scale, background) {
+    const width = +svgNode.getAttribute('width');
+    const height = +svgNode.getAttribute('height');
+    const svgBlob = new Blob([serializeChartSvg(svgNode)], { type: 'image/svg+xml;charset=utf-8' });
+    const url = URL.createObjectURL(svgBlob);
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            // Charts without a background are transparent, which many viewers show as black.
+            context.fillStyle = background || '#fff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The PNG image could not be created.')), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The chart could not be rasterized.'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Work out the base name of exported files.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ *
+ * @return {string}
+ *   export.filename if set, otherwise the name of the CSV file without its
+ *   extension, such as "line-chart-multiple-lines".
+ */
+function exportFilename(options) {
+    if (options.export.filename) {
+        return options.export.filename;
+    }
+    // Text and rows in memory have no file name.
+    const location = isSourceLocation(options.source) ? options.source : options.source.name || '';
+    return location.split('/').pop().replace(/\.[^.]*$/, '') || 'chart';
+}
+
+/**
+ * Add download buttons under a chart.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart is displayed.
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart.
+ * @param {object} options
+ *   Chart options normalized by renderChart(); export.formats lists the
+ *   buttons to add ("svg", "png", "csv") and export.scale is the scale of
+ *   PNG images.
+ * @param {function} getDisplayedData
+ *   Returns the data currently displayed as {columns, rows}, where columns
+ *   lists the CSV columns in order and rows are objects keyed by column.
+ *   Called when the CSV button is clicked, so it reflects the current state
+ *   of the chart (selected lines, zoom...).
+ *
+ * @return {object}
+ *   The D3 selection of the <div class="chart-export"> holding the buttons.
+ */
+function addExportControls(chartLocation, svgNode, options, getDisplayedData) {
+    // Worked out on each download, since updating a chart can change its source.
+    const filename = () => exportFilename(options);
+    const actions = {
+        svg: {
+            label: 'Download SVG',
+            run: () => downloadFile(new Blob([serializeChartSvg(svgNode)], { type: 'image/svg+xml;charset=utf-8' }), `${filename()}.svg`),
+        },
+        png: {
+            label: 'Download PNG',
+            run: () => renderChartPng(svgNode, options.export.scale, options.theme.background)
+                .then(blob => downloadFile(blob, `${filename()}.png`))
+                .catch(error => console.error('Error exporting the chart:', error)),
+        },
+        csv: {
+            label: 'Download CSV',
+            run: () => {
+                const { columns, rows } = getDisplayedData();
+                downloadFile(new Blob([d3.csvFormat(rows, columns)], { type: 'text/csv;charset=utf-8' }), `${filename()}.csv`);
+            },
+        },
+    };
+
+    const controls = d3.select(chartLocation).append('div')
+        .attr('class', 'chart-export');
+
+    options.export.formats.forEach(format => {
+        controls.append('button')
+            .attr('type', 'button')
+            .attr('data-format', format)
+            .text(actions[format].label)
+            .on('click', actions[format].run);
+    });
+
+    return controls;
+}
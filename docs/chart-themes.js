@@ -0,0 +1,137 @@
+/**
+ * Colours and fonts of the charts.
+ *
+ * Every chart takes its colours from a theme rather than from its own code,
+ * so charts on the same page look alike and can all be switched to a dark
+ * background. See the theme option of renderChart().
+ */
+
+/**
+ * Built-in themes, by name.
+ *
+ * Each theme sets:
+ *   - palette: colours given in turn to the series of line charts and the
+ *     slices of pie charts.
+ *   - background: colour behind the chart, or null for a transparent
+ *     background (exported PNG images are then white).
+ *   - foreground: colour of text, of the line of single line charts and of
+ *     the outline of the focused slice.
+ *   - fontFamily and fontSize: font of the text drawn in the chart; the
+ *     size is that of axis labels.
+ *   - axis and grid: colours of the axes and of the grid lines.
+ *   - tooltip: {background, color, border}, CSS values for the tooltip.
+ */
+const chartThemes = {
+    light: {
+        palette: d3.schemeCategory10,
+        background: null,
+        foreground: '#000',
+        fontFamily: 'sans-serif',
+        fontSize: 10,
+        axis: '#333',
+        grid: '#000',
+        tooltip: { background: '#fff', color: '#000', border: '1px solid #ccc' },
+    },
+    dark: {
+        palette: d3.schemeTableau10,
+        background: '#1e1e1e',
+        foreground: '#eee',
+        fontFamily: 'sans-serif',
+        fontSize: 10,
+        axis: '#bbb',
+        grid: '#888',
+        tooltip: { background: '#333', color: '#eee', border: '1px solid #666' },
+    },
+    // The Okabe-Ito palette, told apart with the common forms of colour blindness.
+    colorblind: {
+        palette: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#000000'],
+        background: null,
+        foreground: '#000',
+        fontFamily: 'sans-serif',
+        fontSize: 10,
+        axis: '#333',
+        grid: '#000',
+        tooltip: { background: '#fff', color: '#000', border: '1px solid #ccc' },
+    },
+};
+
+/**
+ * Work out the theme of a chart from its theme option.
+ *
+ * @param {object} options
+ *   The theme option: {name, colors} and, optionally, any property of the
+ *   themes in chartThemes to override. name is a key of chartThemes or
+ *   "auto", for dark if the visitor's system prefers a dark colour scheme and
+ *   light otherwise.
+ *
+ * @return {object}
+ *   The theme, with every property of chartThemes set, and colors.
+ */
+function resolveChartTheme(options) {
+    let name = options.name;
+    if (name === 'auto') {
+        name = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    const base = chartThemes[name];
+
+    return Object.assign({}, base, options, {
+        name,
+        tooltip: Object.assign({}, base.tooltip, options.tooltip),
+        colors: Object.assign({}, options.colors),
+    });
+}
+
+/**
+ * Create the function giving each series or slice its colour.
+ *
+ * Colours are handed out from the palette in the order keys are first seen
+ * and then kept, so a line keeps its colour when other lines are hidden, or
+ * when an update adds or removes columns. Keys listed in theme.colors get
+ * that colour instead, and don't use up a colour of the palette.
+ *
+ * @param {object} theme
+ *   The theme, see resolveChartTheme().
+ * @param {string[]} keys
+ *   The column names, or slice labels, in the order they are displayed.
+ *
+ * @return {function}
+ *   Returns the colour of a key.
+ */
+function createColorScale(theme, keys) {
+    const palette = d3.scaleOrdinal(theme.palette)
+        .domain(keys.filter(key => !theme.colors[key]));
+
+    return key => theme.colors[key] || palette(key);
+}
+
+/**
+ * Style an axis with the theme.
+ *
+ * Call it after the axis is first drawn, which sets its own font: d3.axis
+ * draws in currentColor, so the colour is set on the axis group.
+ *
+ * @param {object} selection
+ *   The D3 selection of the axis group.
+ * @param {object} theme
+ *   The theme, see resolveChartTheme().
+ */
+function applyAxisTheme(selection, theme) {
+    selection
+        .style('color', theme.axis)
+        .attr('font-family', theme.fontFamily)
+        .attr('font-size', theme.fontSize);
+}
+
+/**
+ * Style the <svg> element of a chart with the theme.
+ *
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart.
+ * @param {object} theme
+ *   The theme, see resolveChartTheme().
+ */
+function applyChartTheme(svgNode, theme) {
+    d3.select(svgNode)
+        .style('background', theme.background)
+        .attr('font-family', theme.fontFamily);
+}
@@ -0,0 +1,180 @@
+/**
+ * Maximum number of problems listed in the error panel; the others are
+ * counted but not listed.
+ */
+const maxReportedIssues = 20;
+
+/**
+ * An error in the contents of a CSV file.
+ *
+ * Besides the message, it lists where the problems are so they can be shown
+ * to whoever maintains the CSV file, see showChartError().
+ */
+class ChartDataError extends Error {
+    /**
+     * @param {string} message
+     *   A summary of the problem.
+     * @param {object[]} issues
+     *   Optional list of {row, column, value, message}. Rows are numbered as
+     *   in a spreadsheet, the header being row 1.
+     */
+    constructor(message, issues) {
+        super(message);
+        this.name = 'ChartDataError';
+        this.issues = issues || [];
+    }
+}
+
+/**
+ * Check whether a CSV value is a number.
+ *
+ * @param {string} value
+ *   A value as read from the CSV file.
+ *
+ * @return {bool}
+ *   True for values such as "12", "-3.5" or "1e3"; false for empty values
+ *   and for values such as "n/a".
+ */
+function isNumericValue(value) {
+    return value.trim() !== '' && isFinite(+value);
+}
+
+/**
+ * Guess the type of each column of a CSV file.
+ *
+ * @param {object[]} data
+ *   The rows of the CSV file, as returned by d3.csv().
+ * @param {string[]} headers
+ *   The columns of the CSV file, such as data.columns.
+ * @param {string[]} formats
+ *   Date formats to recognize, see dateFormats in date-columns.js.
+ *
+ * @return {object[]}
+ *   For each column, in order, {name, type, format, empty}: type is
+ *   "number" when every non-empty value is a number, "date" when every
+ *   non-empty value is a date in one of the formats (format is then set to
+ *   that format), and "text" otherwise; empty is the number of empty values.
+ */
+function inferSchema(data, headers, formats) {
+    return headers.map(name => {
+        const values = data.map(d => d[name].trim()).filter(value => value !== '');
+        const column = { name, type: 'text', format: null, empty: data.length - values.length };
+
+        if (values.length > 0 && values.every(isNumericValue)) {
+            column.type = 'number';
+        }
+        else if (formats && typeof findDateFormat === 'function') {
+            column.format = findDateFormat(values, formats);
+            column.type = column.format === null ? 'text' : 'date';
+        }
+
+        return column;
+    });
+}
+
+/**
+ * List the values of numeric columns which are not numbers.
+ *
+ * @param {object[]} data
+ *   The rows of the CSV file.
+ * @param {string[]} columns
+ *   The columns which must only contain numbers.
+ *
+ * @return {object[]}
+ *   The problems, as {row, column, value, message}, row by row.
+ */
+function findNonNumericValues(data, columns) {
+    const issues = [];
+
+    data.forEach((d, i) => {
+        columns.forEach(column => {
+            if (!isNumericValue(d[column])) {
+                issues.push({
+                    // The header is row 1, so the first data row is row 2.
+                    row: i + 2,
+                    column,
+                    value: d[column],
+                    message: d[column].trim() === '' ? 'is empty' : 'is not a number',
+                });
+            }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Load, check and parse the CSV file of a chart.
+ *
+ * The source may also be another kind of file, text or rows in memory, see
+ * readChartSource() in data-sources.js. This is shared by all chart types
+ * so they accept and reject the same files:
+ *   - the file must have a header row and at least one data row;
+ *   - the columns named in the options must exist (see resolveColumns());
+ *   - every value column must only contain numbers;
+ *   - the x column of charts with an x axis must contain numbers or dates
+ *     (see parseXColumn()); for other charts it is kept as text.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ * @param {object} init
+ *   Optional fetch() options, for example {cache: 'no-cache'} to bypass the
+ *   browser cache when the data is refreshed.
+ *
+ * @return {Promise}
+ *   Resolves with {data, columns, schema, xAxisValues}:
+ *   - data: the rows, with value columns converted to numbers;
+ *   - columns: {x, y} as returned by resolveColumns();
+ *   - schema: the column types as returned by inferSchema();
+ *   - xAxisValues: what parseXColumn() returned, or null for charts without
+ *     an x axis.
+ *   Rejects with a ChartDataError if the file cannot be charted.
+ */
+function loadChartData(options, init) {
+    return readChartSource(options.source, options.input, init)
+        .then(({ data, name }) => parseChartData(data, options, name));
+}
+
+/**
+ * Check and parse rows read from a CSV file, see loadChartData().
+ *
+ * @param {object[]} data
+ *   The rows, as returned by d3.csv() or d3.csvParse(): every value is a
+ *   string and data.columns lists the columns.
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ * @param {string} name
+ *   What the rows are called in error messages, such as the CSV location.
+ *
+ * @return {object}
+ *   {data, columns, schema, xAxisValues}, see loadChartData().
+ */
+function parseChartData(data, options, name) {
+    if (data.columns.length === 0) {
+        throw new ChartDataError(`${name} is empty.`);
+    }
+    if (data.length === 0) {
+        throw new ChartDataError(`${name} has a header row but no data.`);
+    }
+
+    const columns = resolveColumns(options, data.columns, name);
+    const hasXAxis = chartTypes[options.type].x === 'axis';
+    const schema = inferSchema(data, data.columns, hasXAxis ? [].concat(options.dates.formats || dateFormats) : null);
+
+    const issues = findNonNumericValues(data, [].concat(columns.y));
+    if (issues.length > 0) {
+        const names = [...new Set(issues.map(issue => issue.column))];
+        throw new ChartDataError(`${issues.length} value(s) in column(s) ${names.join(', ')} of ${name} are missing or not numbers.`, issues);
+    }
+
+    data.forEach(d => {
+        [].concat(columns.y).forEach(column => d[column] = +d[column]);
+    });
+
+    let xAxisValues = null;
+    if (hasXAxis) {
+        xAxisValues = parseXColumn(data, columns.x, options);
+    }
+
+    return { data, columns, schema, xAxisValues };
+}
@@ -0,0 +1,212 @@
+/**
+ * Where the data of a chart comes from.
+ *
+ * The source of a chart may be the location of a file, the text of a file,
+ * a File or Blob (such as a file dropped on the page), or rows already in
+ * memory. Whatever the source, readChartSource() turns it into the rows
+ * d3.csv() would have read, every value a string, so that parseChartData()
+ * checks every source alike. See the source and input options of
+ * renderChart().
+ */
+
+/**
+ * Delimiters recognized in the header row when input.delimiter is not set:
+ * commas, semicolons (as written by spreadsheets where the decimal
+ * separator is a comma) and tabs.
+ */
+const delimiterCandidates = [',', ';', '\t'];
+
+/**
+ * Check whether a source is the location of a file.
+ *
+ * Text sources contain at least a header row and a data row, so a string
+ * without line break is a location.
+ *
+ * @param {*} source
+ *   The source option, or what was passed to the update() of a chart.
+ *
+ * @return {bool}
+ *   True for a location such as data/simple-line-chart.csv.
+ */
+function isSourceLocation(source) {
+    return typeof source === 'string' && !/[\r\n]/.test(source);
+}
+
+/**
+ * Name a source in error messages.
+ *
+ * @param {*} source
+ *   The source, see readChartSource().
+ *
+ * @return {string}
+ *   The location or file name, or a description of the source.
+ */
+function describeSource(source) {
+    if (isSourceLocation(source)) {
+        return source;
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        return source.name || 'the file';
+    }
+    return Array.isArray(source) ? 'the rows' : 'the data';
+}
+
+/**
+ * Convert rows in memory to rows as read from a CSV file.
+ *
+ * The rows are written as CSV and read back, so numbers become strings and
+ * missing values empty strings, as in a file.
+ *
+ * @param {object[]} rows
+ *   Rows such as [{week: 1, amount: 10}]. Their columns are rows.columns
+ *   if set, otherwise the keys of the rows.
+ *
+ * @return {object[]}
+ *   The rows, with columns.
+ */
+function rowsFromArray(rows) {
+    return d3.csvParse(d3.csvFormat(rows, rows.columns));
+}
+
+/**
+ * Find the delimiter of delimited text from its header row.
+ *
+ * @param {string} text
+ *   The text of the file.
+ *
+ * @return {string}
+ *   The candidate (see delimiterCandidates) found most often in the first
+ *   line, or a comma.
+ */
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const counts = delimiterCandidates.map(delimiter => header.split(delimiter).length - 1);
+    const best = d3.maxIndex(counts);
+    return counts[best] > 0 ? delimiterCandidates[best] : ',';
+}
+
+/**
+ * Build the pattern of numbers written with a decimal separator and an
+ * optional thousands separator, such as 1.234,5 in much of Europe.
+ *
+ * @param {string} decimal
+ *   The decimal separator.
+ * @param {string|null} thousands
+ *   The thousands separator, or null if numbers have none.
+ *
+ * @return {RegExp}
+ *   Matches a whole value. Groups of other sizes than 3 digits, as in the
+ *   date 01.03.2024, don't match.
+ */
+function localizedNumberPattern(decimal, thousands) {
+    const escape = character => character.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const integer = thousands ? `\\d{1,3}(?:${escape(thousands)}\\d{3})+|\\d+` : '\\d+';
+    return new RegExp(`^\\s*[+-]?(?:${integer})(?:${escape(decimal)}\\d+)?\\s*$`);
+}
+
+/**
+ * Rewrite localized numbers the way JavaScript reads them, such as
+ * "1.234,5" to "1234.5", in place.
+ *
+ * @param {object[]} data
+ *   The rows, every value a string.
+ * @param {string} decimal
+ *   The decimal separator.
+ * @param {string|null} thousands
+ *   The thousands separator, or null.
+ */
+function convertLocalizedNumbers(data, decimal, thousands) {
+    const pattern = localizedNumberPattern(decimal, thousands);
+    data.forEach(d => {
+        data.columns.forEach(column => {
+            if (pattern.test(d[column])) {
+                const digits = thousands ? d[column].split(thousands).join('') : d[column];
+                d[column] = digits.replace(decimal, '.');
+            }
+        });
+    });
+}
+
+/**
+ * Read the text of a file as rows.
+ *
+ * @param {string} text
+ *   The contents of the file.
+ * @param {object} input
+ *   The input option: {format, delimiter, decimal, thousands}, see
+ *   renderChart().
+ * @param {string} name
+ *   The location or name of the file, whose extension tells JSON files
+ *   apart, also used in error messages.
+ *
+ * @return {object[]}
+ *   The rows, with columns, every value a string.
+ *   Throws a ChartDataError if JSON is invalid or not an array.
+ */
+function parseSourceText(text, input, name) {
+    let format = input.format;
+    if (format === 'auto') {
+        format = /\.json([?#]|$)/i.test(name) || /^\s*[[{]/.test(text) ? 'json' : 'csv';
+    }
+
+    if (format === 'json') {
+        let rows;
+        try {
+            rows = JSON.parse(text);
+        }
+        catch (error) {
+            throw new ChartDataError(`${name} is not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(rows) || !rows.every(row => row && typeof row === 'object')) {
+            throw new ChartDataError(`${name} must contain a JSON array of rows, such as [{"week": 1, "amount": 10}].`);
+        }
+        return rowsFromArray(rows);
+    }
+
+    const delimiter = input.delimiter || detectDelimiter(text);
+    const data = d3.dsvFormat(delimiter).parse(text);
+    // Where the decimal separator is a comma, spreadsheets separate values with semicolons.
+    const decimal = input.decimal || (delimiter === ';' ? ',' : '.');
+    if (decimal !== '.' || input.thousands) {
+        convertLocalizedNumbers(data, decimal, input.thousands);
+    }
+    return data;
+}
+
+/**
+ * Read the data of a chart, from any kind of source.
+ *
+ * @param {*} source
+ *   One of:
+ *   - the location of a file, such as data/simple-line-chart.csv;
+ *   - the text of a file, such as "week,amount\n1,40\n2,30";
+ *   - a File or a Blob;
+ *   - an array of rows, such as [{week: 1, amount: 40}].
+ *   Files and text are CSV (with commas, semicolons or tabs) or JSON
+ *   arrays of rows, see the input option.
+ * @param {object} input
+ *   The input option, see renderChart().
+ * @param {object} init
+ *   Optional fetch() options used to load a location.
+ *
+ * @return {Promise}
+ *   Resolves with {data, name}: the rows as d3.csv() reads them, every
+ *   value a string, and the name of the source for error messages.
+ */
+function readChartSource(source, input, init) {
+    const name = describeSource(source);
+    let text;
+    if (Array.isArray(source)) {
+        return Promise.resolve({ data: rowsFromArray(source), name });
+    }
+    if (isSourceLocation(source)) {
+        text = d3.text(source, init);
+    }
+    else if (typeof source === 'string') {
+        text = Promise.resolve(source);
+    }
+    else {
+        text = source.text();
+    }
+    return text.then(contents => ({ data: parseSourceText(contents, input, name), name }));
+}
@@ -0,0 +1,164 @@
+/**
+ * Date formats recognized in x axis columns, tried in order.
+ *
+ * These are d3.timeParse() specifiers, see
+ * https://d3js.org/d3-time-format#locale_format. They can be replaced for a
+ * chart with the dates.formats option of renderChart().
+ */
+const dateFormats = [
+    // 2024-03-01
+    '%Y-%m-%d',
+    // 2024-03-01T09:30:00Z or 2024-03-01T09:30:00+01:00
+    '%Y-%m-%dT%H:%M:%S%Z',
+    // 2024-03-01T09:30:00.000Z
+    '%Y-%m-%dT%H:%M:%S.%L%Z',
+    // 2024-03-01T09:30:00
+    '%Y-%m-%dT%H:%M:%S',
+    // 2024-03-01 09:30:00
+    '%Y-%m-%d %H:%M:%S',
+    // 2024-03-01 09:30
+    '%Y-%m-%d %H:%M',
+    // 2024/03/01
+    '%Y/%m/%d',
+    // 2024-W10, an ISO 8601 week.
+    '%G-W%V',
+    // 2024-03
+    '%Y-%m',
+];
+
+/**
+ * Find the date format used by all the values of a column.
+ *
+ * @param {string[]} values
+ *   The values of the column, as read from the CSV file.
+ * @param {string[]} formats
+ *   d3.timeParse() specifiers to try, in order.
+ *
+ * @return {string|null}
+ *   The first format which parses every non-empty value, or null if there is
+ *   none (for example because the column contains plain numbers).
+ */
+function findDateFormat(values, formats) {
+    const filled = values.filter(value => value !== '');
+
+    if (filled.length === 0) {
+        return null;
+    }
+
+    return formats.find(format => {
+        const parse = d3.timeParse(format);
+        return filled.every(value => parse(value) !== null);
+    }) || null;
+}
+
+/**
+ * Convert the x axis column of a line chart to dates or numbers.
+ *
+ * Depending on the dates.x option the column is parsed as dates when its
+ * values look like dates ("auto", the default), always (true) or never
+ * (false). The data is converted in place.
+ *
+ * @param {object[]} data
+ *   The rows of the CSV file, as returned by d3.csv().
+ * @param {string} column
+ *   The x axis column.
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ *
+ * @return {object}
+ *   - isDate: whether the column now contains Date objects.
+ *   - format: a function which formats an x value the way it was written in
+ *     the CSV file, for use in tooltips and legends.
+ *   - parse: a function which reads another x value written the same way,
+ *     such as an annotation (see annotations.js), and returns a date or a
+ *     number, null or NaN if it can't be read.
+ *
+ * @throws {ChartDataError}
+ *   If values are neither numbers nor dates, or are not dates although
+ *   dates.x is true.
+ */
+function parseXColumn(data, column, options) {
+    const formats = [].concat(options.dates.formats || dateFormats);
+    const values = data.map(d => d[column].trim());
+    const format = options.dates.x === false ? null : findDateFormat(values, formats);
+
+    if (format === null) {
+        if (options.dates.x === true) {
+            const parsers = formats.map(specifier => d3.timeParse(specifier));
+            const issues = values
+                // The header is row 1, so the first data row is row 2.
+                .map((value, i) => ({ row: i + 2, column, value, message: 'is not a date' }))
+                .filter(issue => parsers.every(parse => parse(issue.value) === null));
+            throw new ChartDataError(`Column ${column} must contain dates in one of the formats ${formats.join(', ')}.`, issues);
+        }
+
+        const issues = findNonNumericValues(data, [column]);
+        if (issues.length > 0) {
+            throw new ChartDataError(`Column ${column} must contain numbers or dates.`, issues);
+        }
+
+        data.forEach(d => d[column] = +d[column]);
+        return { isDate: false, format: value => `${value}`, parse: value => isNumericValue(value) ? +value : NaN };
+    }
+
+    const empty = values
+        .map((value, i) => ({ row: i + 2, column, value, message: 'is empty' }))
+        .filter(issue => issue.value === '');
+    if (empty.length > 0) {
+        throw new ChartDataError(`Column ${column} must have a date on every row.`, empty);
+    }
+
+    const parse = d3.timeParse(format);
+    data.forEach(d => d[column] = parse(d[column].trim()));
+    return { isDate: true, format: d3.timeFormat(format), parse };
+}
+
+/**
+ * Create the scale for the x axis of a line chart.
+ *
+ * @param {bool} isDate
+ *   Whether the x values are dates, as returned by parseXColumn().
+ *
+ * @return {function}
+ *   d3.scaleTime() for dates, d3.scaleLinear() otherwise; the domain and
+ *   range are left to the caller.
+ */
+function createXScale(isDate) {
+    return isDate ? d3.scaleTime() : d3.scaleLinear();
+}
+
+/**
+ * Configure the ticks of the bottom axis of a line chart.
+ *
+ * Numeric x values get one tick per row, up to one tick per 30 pixels so
+ * files with thousands of rows don't get thousands of overlapping labels.
+ * Dates typically cover many rows, so time axes get roughly one tick per 80
+ * pixels, labelled with dates.tickFormat or, by default, with d3's
+ * multi-scale format ("March", "Mar 04", "09:30"...) which adapts to the
+ * time span displayed.
+ *
+ * @param {function} axis
+ *   The axis, such as d3.axisBottom(x).
+ * @param {object[]} data
+ *   The rows of the CSV file.
+ * @param {bool} isDate
+ *   Whether the x values are dates, as returned by parseXColumn().
+ * @param {int} width
+ *   Width of the chart.
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ *
+ * @return {function}
+ *   The axis.
+ */
+function configureXTicks(axis, data, isDate, width, options) {
+    if (!isDate) {
+        return axis.ticks(Math.max(2, Math.min(data.length, Math.floor(width / 30))));
+    }
+
+    axis.ticks(Math.max(2, Math.min(data.length, Math.floor(width / 80))));
+    if (options.dates.tickFormat) {
+        axis.tickFormat(d3.timeFormat(options.dates.tickFormat));
+    }
+    return axis;
+}
@@ -0,0 +1,487 @@
+/**
+ * Colour scales of heatmaps, see the heatmap option:
+ *   - sequential: from light to dark, from the lowest value to the highest.
+ *   - diverging: blue below zero and red above, white at zero, for values
+ *     of both signs.
+ *   - auto: diverging if any value is negative, sequential otherwise.
+ */
+const heatmapScales = ['auto', 'sequential', 'diverging'];
+
+/**
+ * Colours of the sequential and diverging scales, as d3-scale-chromatic
+ * interpolators from 0 to 1.
+ */
+const heatmapInterpolators = {
+    sequential: d3.interpolateBlues,
+    // RdBu goes from red to blue; negative values are blue.
+    diverging: t => d3.interpolateRdBu(1 - t),
+};
+
+/**
+ * Orders of the rows and columns of a heatmap, see the heatmap option, with
+ * their name in the menus above the chart:
+ *   - file: as in the file.
+ *   - name: by x value for rows, by name for columns.
+ *   - total: highest total first.
+ *   - variance: most varying first.
+ */
+const heatmapSortOrders = {
+    file: 'order in the file',
+    name: 'name',
+    total: 'total',
+    variance: 'variance',
+};
+
+/**
+ * Past this number of cells, cells are drawn without animations.
+ */
+const maxAnimatedCells = 5000;
+
+/**
+ * Sort the rows or the columns of a heatmap.
+ *
+ * @param {Array} keys
+ *   The rows (by index) or columns (by name), in the order of the file.
+ * @param {string} order
+ *   One of the keys of heatmapSortOrders.
+ * @param {function} name
+ *   Returns the name of a key: the x value of a row, a column name.
+ * @param {function} values
+ *   Returns the values of the cells of a key.
+ *
+ * @return {Array}
+ *   The keys in order, a new array.
+ */
+function sortHeatmapKeys(keys, order, name, values) {
+    if (order === 'name') {
+        // Column names are compared as people read them: amount2 before amount10.
+        return d3.sort(keys, (a, b) => typeof name(a) === 'string'
+            ? name(a).localeCompare(name(b), undefined, { numeric: true })
+            : d3.ascending(name(a), name(b)));
+    }
+    if (order === 'total') {
+        return d3.sort(keys, key => -d3.sum(values(key)));
+    }
+    if (order === 'variance') {
+        // A single value has no variance.
+        return d3.sort(keys, key => -(d3.variance(values(key)) || 0));
+    }
+    return keys.slice();
+}
+
+/**
+ * Display a heatmap.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart(), see render-chart.js. The
+ *   source is a location such as data/multivalued-1000-rows-20-columns.csv,
+ *   laid out as for multiple line charts: each row is a column of cells,
+ *   along the x axis column columns.x, and each column of columns.y a row
+ *   of cells. The heatmap option sets the colour scale and the initial
+ *   order of the rows and columns.
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
+ *
+ * See https://d3-graph-gallery.com/heatmap.html.
+ */
+function heatmapChart(options) {
+    const chartLocation = options.target;
+    const margin = options.margin;
+    // Size of the area where the chart is drawn, inside the margins.
+    let width = options.size.width - margin.left - margin.right;
+    let height = options.size.height - margin.top - margin.bottom;
+    // The colour legend, on the right of the cells, and its labels take legendSpace pixels.
+    const legendSpace = 60;
+    const legendWidth = 12;
+    const cellsWidth = () => width - legendSpace;
+
+    /*
+        Create SVG element
+        chartLocation is a selector string or a reference to an
+        existing HTML element where the SVG will be inserted.
+        The group inside it is moved by the margins, so the cells are
+        drawn from (0, 0) to (width - legendSpace, height).
+    */
+    const svg = d3.select(chartLocation).append('svg')
+        .attr('width', options.size.width)
+        .attr('height', options.size.height)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Background and font of the theme, see chart-themes.js.
+    applyChartTheme(svg.node().ownerSVGElement, options.theme);
+
+    /*
+        Read and parse the CSV file (see csv-schema.js): the x axis column is
+        converted to dates or numbers and the other columns to numbers, as
+        for multiple line charts.
+        They are replaced when the chart is updated with new data.
+    */
+    return createChartHandle(options, svg.node().ownerSVGElement, loaded => {
+        let { data, columns: { x: xAxisColumn, y: columns }, xAxisValues } = loaded;
+        // Orders chosen in the menus, see below.
+        let sortX = options.heatmap.sortX;
+        let sortY = options.heatmap.sortY;
+
+        /*
+            Define scales
+            Band scales divide the width into one band per row of the file,
+            and the height into one band per value column. Rows are
+            identified by their index in the file, since x values may
+            repeat; the axis writes their x values. Sorting changes the
+            order of the domains.
+        */
+        const x = d3.scaleBand();
+        const y = d3.scaleBand();
+        const setRanges = () => {
+            x.range([0, cellsWidth()]);
+            y.range([0, height]);
+        };
+        setRanges();
+
+        /*
+            The colour of the cells: a diverging scale centred on zero for
+            values of both signs, so that zero is white whatever the
+            extremes, or a sequential scale from the lowest value to the
+            highest. legendScale places the values along the legend.
+        */
+        let color;
+        const legendScale = d3.scaleLinear();
+        let diverging;
+        function setColorScale() {
+            const [low, high] = d3.extent(columns.flatMap(column => data.map(d => d[column])));
+            diverging = options.heatmap.scale === 'diverging' || (options.heatmap.scale === 'auto' && low < 0);
+            if (diverging) {
+                const extreme = Math.max(Math.abs(low), Math.abs(high)) || 1;
+                color = d3.scaleDiverging(heatmapInterpolators.diverging).domain([-extreme, 0, extreme]);
+                legendScale.domain([-extreme, extreme]);
+            }
+            else {
+                color = d3.scaleSequential(heatmapInterpolators.sequential).domain([low, high]);
+                legendScale.domain([low, high]);
+            }
+        }
+        setColorScale();
+
+        /*
+            Axes: the x values at the bottom, only some of them when there
+            are too many rows for their width, and the value columns on the
+            left. The axes option hides them.
+        */
+        const xAxis = () => {
+            const every = Math.ceil(data.length / Math.max(1, Math.floor(cellsWidth() / (xAxisValues.isDate ? 80 : 40))));
+            return d3.axisBottom(x)
+                .tickValues(x.domain().filter((index, position) => position % every === 0))
+                .tickFormat(index => xAxisValues.format(data[index][xAxisColumn]));
+        };
+        const yAxis = () => {
+            const every = Math.ceil(columns.length / Math.max(1, Math.floor(height / 12)));
+            return d3.axisLeft(y)
+                .tickValues(y.domain().filter((column, position) => position % every === 0));
+        };
+
+        const cellLayer = svg.append('g')
+            .attr('class', 'cells');
+        const xAxisGroup = svg.append('g')
+            .attr('class', 'x-axis')
+            .style('display', options.axes.x ? null : 'none');
+        const yAxisGroup = svg.append('g')
+            .attr('class', 'y-axis')
+            .style('display', options.axes.y ? null : 'none');
+
+        /*
+            The colour legend: a bar filled with a gradient of the scale,
+            on the right of the cells, with an axis of values. It is part
+            of the SVG, so downloads have it.
+        */
+        const gradientId = uniqueChartId('heatmap-gradient');
+        const legend = svg.append('g')
+            .attr('class', 'heatmap-legend');
+        // The gradient goes up, from the lowest value at the bottom.
+        const gradient = legend.append('defs')
+            .append('linearGradient')
+            .attr('id', gradientId)
+            .attr('x1', 0)
+            .attr('y1', 1)
+            .attr('x2', 0)
+            .attr('y2', 0);
+        legend.append('rect')
+            .attr('width', legendWidth)
+            .style('fill', `url(#${gradientId})`);
+        const legendAxisGroup = legend.append('g')
+            .attr('class', 'legend-axis')
+            .attr('transform', `translate(${legendWidth},0)`);
+        function drawLegend() {
+            legendScale.range([height, 0]);
+            legend.attr('transform', `translate(${cellsWidth() + 10},0)`);
+            legend.select('rect')
+                .attr('height', height);
+            gradient.selectAll('stop')
+                .data(d3.range(11).map(i => i / 10))
+                .join('stop')
+                .attr('offset', t => `${t * 100}%`)
+                .attr('stop-color', t => color(legendScale.domain()[0] + t * (legendScale.domain()[1] - legendScale.domain()[0])));
+            legendAxisGroup
+                .call(d3.axisRight(legendScale).ticks(Math.max(2, Math.floor(height / 40))))
+                .call(applyAxisTheme, options.theme);
+        }
+
+        /*
+            Menus above the chart, in a container of this chart (see the
+            legend option), sort the rows and the columns: the cells move
+            to their new place.
+        */
+        const controls = addLegendContainer(chartLocation, options, 'heatmap-controls');
+        [['x', 'Sort rows by', () => sortX, order => sortX = order],
+            ['y', 'Sort columns by', () => sortY, order => sortY = order]].forEach(([axis, text, get, set]) => {
+            const label = controls.append('label')
+                .style('margin-right', '1em');
+            label.append('span')
+                .text(`${text} `);
+            label.append('select')
+                .attr('data-axis', axis)
+                .on('change', event => {
+                    set(event.target.value);
+                    updateCells();
+                })
+                .selectAll('option')
+                .data(Object.keys(heatmapSortOrders))
+                .join('option')
+                .attr('value', order => order)
+                .property('selected', order => order === get())
+                .text(order => heatmapSortOrders[order]);
+        });
+
+        // Add tooltips
+        const tooltip = d3.select(chartLocation).append('div')
+            .attr('class', 'tooltip')
+            .style('opacity', 0)
+            .style('position', 'absolute')
+            .style('background-color', options.theme.tooltip.background)
+            .style('color', options.theme.tooltip.color)
+            .style('border', options.theme.tooltip.border)
+            .style('padding', '5px')
+            .style('border-radius', '4px');
+
+        // Describe a cell: its row and column, its value, and the total of its row and mean of its column.
+        function showTooltip(event, index, column) {
+            const row = data[index];
+            tooltip.selectAll('*').remove();
+            tooltip.append('div')
+                .style('font-weight', 'bold')
+                .text(`${xAxisColumn}: ${xAxisValues.format(row[xAxisColumn])}`);
+            const item = tooltip.append('div');
+            item.append('span')
+                .style('color', color(row[column]))
+                .html('&#9632; ');
+            item.append('span')
+                .text(`${column}: ${row[column]}`);
+            tooltip.append('div')
+                .text(`Total of the row: ${describeNumber(d3.sum(columns, c => row[c]))}`);
+            tooltip.append('div')
+                .text(`Mean of ${column}: ${d3.format(',.2~f')(d3.mean(data, d => d[column]))}`);
+            tooltip
+                .style('left', `${event.pageX + 5}px`)
+                .style('top', `${event.pageY - 28}px`);
+        }
+
+        // Outline a cell, or remove the outline for null.
+        function outlineCell(index, column) {
+            svg.selectAll('.cell-outline')
+                .data(index === null ? [] : [index])
+                .join('rect')
+                .attr('class', 'cell-outline')
+                .attr('x', x(index))
+                .attr('y', y(column))
+                .attr('width', Math.max(1, x.bandwidth()))
+                .attr('height', y.bandwidth())
+                .style('fill', 'none')
+                .style('pointer-events', 'none')
+                .style('stroke', options.theme.foreground)
+                .style('stroke-width', 2);
+        }
+
+        /*
+            Hovering a cell outlines it and shows its details. With a
+            thousand rows cells are thinner than a pixel, so an invisible
+            rectangle over the cells finds the cell under the mouse from
+            the bands of the scales.
+        */
+        svg.append('rect')
+            .attr('class', 'hover-area')
+            .style('fill', 'none')
+            .style('pointer-events', 'all')
+            .on('mouseover', () => tooltip.transition().duration(200).style('opacity', .9))
+            .on('mousemove', event => {
+                const [mx, my] = d3.pointer(event, svg.node());
+                const position = (scale, value) => Math.max(0, Math.min(scale.domain().length - 1, Math.floor(value / scale.step())));
+                const index = x.domain()[position(x, mx)];
+                const column = y.domain()[position(y, my)];
+                outlineCell(index, column);
+                showTooltip(event, index, column);
+            })
+            .on('mouseout', () => {
+                outlineCell(null);
+                tooltip.transition().duration(500).style('opacity', 0);
+            });
+        const placeHoverArea = () => svg.select('.hover-area')
+            .attr('width', cellsWidth())
+            .attr('height', height);
+
+        /*
+            Update function for cells
+            The function sorts the rows and the columns, then moves the axes
+            and the cells to their new place. transitionDuration is 0 to
+            update without animation, as when resizing.
+        */
+        function updateCells(transitionDuration = null) {
+            const cells = columns.flatMap(column => data.map((d, index) => ({ index, column, value: d[column] })));
+            const duration = transitionDuration !== null ? transitionDuration
+                : cells.length > maxAnimatedCells ? 0 : 750;
+
+            x.domain(sortHeatmapKeys(d3.range(data.length), sortX,
+                index => data[index][xAxisColumn], index => columns.map(column => data[index][column])));
+            y.domain(sortHeatmapKeys(columns, sortY, column => column, column => data.map(d => d[column])));
+
+            xAxisGroup
+                .attr('transform', `translate(0,${height})`)
+                .transition()
+                .duration(duration)
+                .call(xAxis());
+            xAxisGroup.call(applyAxisTheme, options.theme);
+            yAxisGroup
+                .transition()
+                .duration(duration)
+                .call(yAxis());
+            yAxisGroup.call(applyAxisTheme, options.theme);
+            drawLegend();
+            placeHoverArea();
+            outlineCell(null);
+
+            // New cells fade in where they belong, the others move there.
+            cellLayer.selectAll('rect.cell')
+                .data(cells, cell => `${cell.index}:${cell.column}`)
+                .join(
+                    enter => enter.append('rect')
+                        .attr('class', 'cell')
+                        .attr('data-column', cell => cell.column)
+                        .style('pointer-events', 'none')
+                        .style('opacity', 0)
+                        .attr('x', cell => x(cell.index))
+                        .attr('y', cell => y(cell.column))
+                )
+                .style('fill', cell => color(cell.value))
+                // Thin cells overlap a little, to leave no gaps between them.
+                .attr('width', x.bandwidth() + 0.5)
+                .attr('height', y.bandwidth() + 0.5)
+                .transition()
+                .duration(duration)
+                .style('opacity', 1)
+                .attr('x', cell => x(cell.index))
+                .attr('y', cell => y(cell.column));
+        }
+
+        // Initial rendering of cells and axes
+        updateCells();
+
+        // Rows and columns in the order displayed, for downloads and the table.
+        const displayedData = () => ({
+            columns: [xAxisColumn].concat(y.domain()),
+            rows: x.domain().map(index => {
+                const row = { [xAxisColumn]: xAxisValues.format(data[index][xAxisColumn]) };
+                y.domain().forEach(column => row[column] = data[index][column]);
+                return row;
+            }),
+        });
+
+        // The CSV download contains the rows and columns in the order displayed.
+        if (options.export.enabled) {
+            addExportControls(chartLocation, svg.node().ownerSVGElement, options, displayedData);
+        }
+
+        /*
+            Accessibility (see chart-accessibility.js): a title and a
+            description for screen readers, the arrow keys move through the
+            rows (left and right) and the columns (up and down) showing the
+            same details as the mouse, and a button shows the data as a
+            table.
+        */
+        const chartTitle = () => options.accessibility.title || `Heatmap of ${columns.join(', ')} by ${xAxisColumn}`;
+        function describe() {
+            const ranges = columns.map(column => describeRange(data, column)).join('; ');
+            const [first, last] = d3.extent(data, d => d[xAxisColumn]).map(xAxisValues.format);
+            const scale = diverging ? 'a diverging colour scale centred on zero' : 'a sequential colour scale';
+            describeChart(svg.node().ownerSVGElement, chartTitle(),
+                `${data.length} rows from ${xAxisColumn} ${first} to ${last}, with ${scale}; ${ranges}. ${keyboardHint}`);
+        }
+        describe();
+
+        addKeyboardNavigation(chartLocation, svg.node().ownerSVGElement, {
+            count: () => data.length,
+            seriesCount: () => columns.length,
+            focus(position, series) {
+                const index = x.domain()[position];
+                const column = y.domain()[series];
+                outlineCell(index, column);
+
+                // Place the tooltip by the cell, as the mouse would.
+                const box = svg.node().ownerSVGElement.getBoundingClientRect();
+                showTooltip({
+                    pageX: box.left + window.scrollX + margin.left + x(index) + x.bandwidth(),
+                    pageY: box.top + window.scrollY + margin.top + y(column),
+                }, index, column);
+                tooltip.interrupt().style('opacity', .9);
+                return `${xAxisColumn} ${xAxisValues.format(data[index][xAxisColumn])}, ${column}: ${data[index][column]}`;
+            },
+            blur() {
+                outlineCell(null);
+                tooltip.transition().duration(500).style('opacity', 0);
+            },
+        });
+
+        const dataTable = options.accessibility.table
+            ? addDataTable(chartLocation, () => Object.assign({ caption: chartTitle() }, displayedData()))
+            : null;
+
+        /*
+            Display new data (see createChartHandle()): the colour scale fits
+            the new values, and the rows and columns are sorted again.
+            Cells are identified by their row index, so the cells of new
+            rows fade in.
+        */
+        function update(loaded) {
+            if (loaded.xAxisValues.isDate !== xAxisValues.isDate) {
+                const kind = isDate => isDate ? 'dates' : 'numbers';
+                throw new ChartDataError(`The ${loaded.columns.x} column of the new data contains ${kind(loaded.xAxisValues.isDate)}, but the chart displays ${kind(xAxisValues.isDate)}.`);
+            }
+
+            ({ data, columns: { x: xAxisColumn, y: columns }, xAxisValues } = loaded);
+            cellLayer.selectAll('rect.cell')
+                .filter(cell => cell.index >= data.length || !columns.includes(cell.column))
+                .remove();
+            setColorScale();
+            updateCells();
+            describe();
+            if (dataTable) {
+                dataTable.refresh();
+            }
+        }
+
+        /*
+            Responsive charts (see render-chart.js) are laid out again in
+            place when resized, without animation.
+        */
+        function resize(size) {
+            width = size.width - margin.left - margin.right;
+            height = size.height - margin.top - margin.bottom;
+            d3.select(svg.node().ownerSVGElement)
+                .attr('width', size.width)
+                .attr('height', size.height);
+            setRanges();
+            updateCells(0);
+        }
+
+        return { update, resize };
+    });
+}
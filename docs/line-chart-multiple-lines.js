@@ -1,33 +1,30 @@
 /**
  * Display a multiple line chart.
  *
- * @param {string} source
- *   A location such as data/multivalued-1000-rows-20-columns.csv
- * @param {string} chartLocation
- *   An element on the page, often a div with an id, where the chart will be
- *   displayed.
- * @param {int} width
- *   Width of the chart.
- * @param {int} height
- *   Height of the chart.
- * @param {int} margin
- *   Margins provides padding around the chart.
- * @param {bool} displayXAxisPlotting
- *   If displayXAxisPlotting is true to then X axis displayed in chart.
- * @param {bool} displayYAxisPlotting
- *   If displayYAxisPlotting is true to then Y axis displayed in chart.
+ * @param {object} options
+ *   Chart options normalized by renderChart(), see render-chart.js. The
+ *   source is a location such as data/multivalued-1000-rows-20-columns.csv;
+ *   columns.x is the x axis column and columns.y the array of columns drawn
+ *   as lines.
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
  *
  * See https://d3-graph-gallery.com/graph/shape.html#myline.
  */
- function multipleLineChart(
-    source,
-    chartLocation,
-    width,
-    height,
-    margin,
-    displayXAxisPlotting,
-    displayYAxisPlotting
-) {
+function multipleLineChart(options) {
+    const chartLocation = options.target;
+    const margin = options.margin;
+    /*
+        Width and Height determine the size of the area where
+        the actual chart is drawn. These values are derived by
+        subtracting the margins from the total SVG dimensions.
+    */
+    let width = options.size.width - margin.left - margin.right;
+    let height = options.size.height - margin.top - margin.bottom
+        // Room for the overview strip and its axis, see the zoom option.
+        - (options.zoom.context ? options.zoom.contextHeight + margin.bottom : 0);
+
     /*
         Create SVG element
         chartLocation is a selector string or a reference to an
@@ -40,12 +37,12 @@
             Sets the width of the SVG element.
             Total width including margins then only x,y axis rendered completely inside chart.
         */
-        .attr("width", width + margin.left + margin.right)
+        .attr("width", options.size.width)
         /*
             Sets the height of the SVG element.
             Total height including margins then only x,y axis rendered completely inside chart.
         */        
-        .attr("height", height + margin.top + margin.bottom)
+        .attr("height", options.size.height)
         /*
             append("g") Appends a group element (<g>) to the SVG container.
             Explanation:
@@ -63,20 +60,31 @@
         */        
         .attr("transform", `translate(${margin.left},${margin.top})`);
 
-    // Read the CSV file.
-    d3.csv(source).then(data => {
-        // Identify the X-axis column (first column).
-        const xAxisColumn = Object.keys(data[0])[0];
-        // Extract Y-axis columns (all columns except the first one).
-        const columns = Object.keys(data[0]).slice(1);
+    // Background and font of the theme, see chart-themes.js.
+    applyChartTheme(svg.node().ownerSVGElement, options.theme);
+
+    /*
+        Read and parse the CSV file (see csv-schema.js): the x axis column is
+        converted to dates or numbers and the other columns to numbers.
+        Identify the X-axis column (by default the first column) and the
+        Y-axis columns (by default all the other columns).
+        They are replaced when the chart is updated with new data.
+    */
+    return createChartHandle(options, svg.node().ownerSVGElement, (loaded, handle, viewChanged) => {
+        let { data, columns: { x: xAxisColumn, y: columns }, xAxisValues, annotations } = loaded;
+        // Sort rows by x, so the row closest to the mouse can be found by bisection.
+        data.sort((a, b) => a[xAxisColumn] - b[xAxisColumn]);
 
         /*
-          Parse data: convert strings to numbers
+            Performance mode (see performance.js): with many rows each line
+            is downsampled to about one point per pixel and drawn without
+            animations, and past performance.canvasThreshold points the
+            lines are drawn on a canvas rather than as SVG paths.
         */
-        data.forEach(d => {
-            d[xAxisColumn] = +d[xAxisColumn];
-            columns.forEach(column => d[column] = +d[column]);
-        });
+        let pointCount = data.length * columns.length;
+        let performanceMode = isPerformanceMode(options, pointCount);
+        let maxPoints = options.performance.maxPoints || Math.ceil(width);
+        let duration = performanceMode ? 0 : 750;
 
         /*
             Define scales and axes
@@ -84,8 +92,11 @@
             a linear scale. Linear scales map numerical data values to
             a continuous range of pixel values. It’s used for axes
             where the data is distributed in a linear fashion.
+            When the x axis column contains dates, d3.scaleTime() is used
+            instead: it works the same way but maps dates, and picks ticks
+            at sensible calendar intervals (days, months...).
         */        
-        const x = d3.scaleLinear()
+        const x = createXScale(xAxisValues.isDate)
             /*
                 d3.extent(data, d => d[xAxisColumn]) calculates the
                 extent (i.e., minimum and maximum) of the data values for 
@@ -132,20 +143,33 @@
             */
             .range([height, 0]);
 
+        /*
+            Columns can be drawn on a second y scale, on the right (see the
+            yAxes option), so that a column in the thousands doesn't flatten
+            a column in the tens. Each scale fits the selected lines drawn
+            on it. yScales holds both, by side.
+        */
+        const yRight = d3.scaleLinear().range([height, 0]);
+        const yScales = { left: y, right: yRight };
+        // Side of the y axis of each column, see assignYAxes().
+        let yAxisSides = {};
+        const yScale = column => yScales[yAxisSides[column]];
+
         /*
             d3.axisBottom(x): Creates a bottom-oriented axis using the x scale.
-            .ticks(data.length): Configures the axis to have tick marks for each
+            configureXTicks() configures the axis to have tick marks for each
             data point in the dataset, which helps in clearly displaying and aligning
-            the data points along the x-axis.
+            the data points along the x-axis, or, for dates, ticks at calendar
+            intervals.
         */            
-        const xAxis = d3.axisBottom(x).ticks(data.length);
+        const xAxis = configureXTicks(d3.axisBottom(x), data, xAxisValues.isDate, width, options);
         /*
             d3.axisLeft(y): Creates a vertical axis positioned on the left side of the SVG,
             using the y scale function to map data values to pixel positions.
         */        
         const yAxis = d3.axisLeft(y);
 
-        if (displayXAxisPlotting) {
+        if (options.axes.x) {
             /*
                 The append('g') method adds a new group element to the SVG. This group element
                 will contain all the parts of the x-axis (ticks, labels, etc.).
@@ -164,147 +188,636 @@
                     d3.axisBottom(x).
                 */
                 .call(xAxis)
-                .attr('stroke', '#333')
+                .call(applyAxisTheme, options.theme)
+                .attr('stroke', options.theme.axis)
                 .attr('fill', 'none');
         }
 
-        if (displayYAxisPlotting) {
+        if (options.axes.y) {
             // svg.append('g'): Adds a new group element to the SVG.
             svg.append('g')
                 // .attr('class', 'y-axis'): Sets the class for CSS styling and targeting.
                 .attr('class', 'y-axis')
                 // .call(yAxis): Draws the y-axis using the yAxis generator function.
                 .call(yAxis)
-                .attr('stroke', '#333')
+                .call(applyAxisTheme, options.theme)
+                .attr('stroke', options.theme.axis)
                 .attr('fill', 'none');
+
+            // The right axis, and the titles naming the columns of each axis, are shown with two axes.
+            svg.append('g')
+                .attr('class', 'y-axis-right')
+                .attr('transform', `translate(${width},0)`)
+                .call(d3.axisRight(yRight))
+                .call(applyAxisTheme, options.theme)
+                .attr('stroke', options.theme.axis)
+                .attr('fill', 'none');
+            ['left', 'right'].forEach(side => {
+                svg.append('text')
+                    .attr('class', `y-axis-title y-axis-title-${side}`)
+                    .attr('transform', side === 'left' ? 'rotate(-90)' : 'rotate(90)')
+                    // Rotated a quarter turn, so the top of the text faces the edge of the SVG.
+                    .attr('dy', '1em')
+                    .attr('font-size', options.theme.fontSize)
+                    .style('text-anchor', 'middle')
+                    .style('fill', options.theme.foreground);
+            });
         }
 
         // Add gridlines
         svg.append('g')
             .attr('class', 'grid')
+            .style('color', options.theme.grid)
             .call(d3.axisLeft(y)
                 .tickSize(-width)
                 .tickFormat('')
             );
 
+        /*
+            Lines are clipped to the chart area, so that when zoomed in they
+            don't spill over the axes.
+        */
+        const clipId = uniqueChartId('clip');
+        svg.append('clipPath')
+            .attr('id', clipId)
+            .append('rect')
+            .attr('width', width)
+            .attr('height', height);
+
+        /*
+            Reference lines, bands and markers of the annotations option (see
+            annotations.js), under the lines. placeAnnotations() moves them
+            whenever the scales change.
+        */
+        const annotationLayer = svg.append('g')
+            .attr('clip-path', `url(#${clipId})`);
+        function placeAnnotations(transitionDuration = 0) {
+            if (annotations.length === 0) {
+                annotationLayer.selectAll('*').remove();
+                return;
+            }
+            drawAnnotations(annotationLayer, annotations, { x, y, yRight, width, height }, options.theme, transitionDuration);
+        }
+
+        /*
+            Statistics of each series (see the overlays option and
+            overlays.js), worked out once per data and drawn over the
+            selected lines whose statistics checkbox is checked.
+            placeOverlays() moves them whenever the scales change.
+        */
+        const showsOverlays = typeof hasOverlays === 'function' && hasOverlays(options.overlays);
+        const overlayLayer = svg.append('g')
+            .attr('class', 'overlays')
+            .attr('clip-path', `url(#${clipId})`)
+            .style('pointer-events', 'none');
+        const seriesStatistics = {};
+        const overlayToggles = {};
+        function getSeriesStatistics(column) {
+            if (!seriesStatistics[column]) {
+                seriesStatistics[column] = computeSeriesStatistics(data, xAxisColumn, column, options.overlays);
+            }
+            return seriesStatistics[column];
+        }
+        function placeOverlays(transitionDuration = 0) {
+            if (!showsOverlays) {
+                return;
+            }
+            overlayLayer.selectAll('g.overlay-series')
+                .data(selectedColumns().filter(column => overlayToggles[column].checked), column => column)
+                .join('g')
+                .attr('class', 'overlay-series')
+                .each(function(column) {
+                    drawSeriesStatistics(d3.select(this), getSeriesStatistics(column), { x, y: yScale(column) },
+                        color(column), options.theme, transitionDuration);
+                });
+        }
+
+        // Canvas on which very large files are drawn, null to draw SVG paths.
+        let canvasContext = needsCanvas()
+            ? createCanvasLayer(svg, width, height)
+            : null;
+
+        // Whether the lines are too many points to be drawn as SVG paths.
+        function needsCanvas() {
+            return performanceMode && pointCount > options.performance.canvasThreshold;
+        }
+
         /*
           Define line generators
           d3.line(): Creates a line generator function.
+          There is one for each y scale: lines of the left axis are drawn
+          with lines.left and lines of the right axis with lines.right.
+        */
+        const lines = {};
+        const canvasLines = {};
+        Object.keys(yScales).forEach(side => {
+            lines[side] = d3.line()
+                // .x(d => x(d[xAxisColumn])): Maps data values to x-coordinates using the x scale.
+                .x(d => x(d[xAxisColumn]))
+                // .y(d => yScales[side](d.value)): Maps data values to y-coordinates using the y scale of the side.
+                .y(d => yScales[side](d.value))
+                // Smooth curve.
+                .curve(d3.curveMonotoneX);
+
+            // The same line generator, drawing on the canvas.
+            canvasLines[side] = d3.line()
+                .x(d => x(d[xAxisColumn]))
+                .y(d => yScales[side](d.value))
+                .curve(d3.curveMonotoneX)
+                .context(canvasContext);
+        });
+        const line = column => lines[yAxisSides[column]];
+
+        /*
+            Points of each line. They are computed the first time the line
+            is displayed, and the extent of each column once, so toggling
+            checkboxes stays fast.
+        */
+        const linePoints = {};
+        function getLinePoints(column) {
+            if (!linePoints[column]) {
+                linePoints[column] = data.map(d => ({ [xAxisColumn]: d[xAxisColumn], value: d[column] }));
+            }
+            return linePoints[column];
+        }
+
+        // Rows are sorted by x, so rows can be found by bisection.
+        const xBisector = d3.bisector(d => d[xAxisColumn]);
+
+        /*
+            Points of each line as displayed. In performance mode only the
+            rows in view (plus one on each side, so lines reach the edges)
+            are downsampled, so zooming in reveals the detail.
         */
-        const line = d3.line()
-            // .x(d => x(d[xAxisColumn])): Maps data values to x-coordinates using the x scale.
-            .x(d => x(d[xAxisColumn]))
-            // .y(d => y(d.value)): Maps data values to y-coordinates using the y scale.
-            .y(d => y(d.value))
-            // Smooth curve.
-            .curve(d3.curveMonotoneX);
+        const fullViewData = {};
+        function getLineData(column) {
+            if (!performanceMode) {
+                return getLinePoints(column);
+            }
+            const [x0, x1] = x.domain();
+            const start = Math.max(0, xBisector.left(data, x0) - 1);
+            const end = Math.min(data.length, xBisector.right(data, x1) + 1);
+            const downsample = points => largestTriangleThreeBuckets(points, maxPoints, d => d[xAxisColumn], d => d.value);
+            if (start > 0 || end < data.length) {
+                return downsample(getLinePoints(column).slice(start, end));
+            }
+            if (!fullViewData[column]) {
+                fullViewData[column] = downsample(getLinePoints(column));
+            }
+            return fullViewData[column];
+        }
+        const columnExtents = {};
+        columns.forEach(column => columnExtents[column] = d3.extent(data, d => d[column]));
+
+        /*
+            Put each column on the left or right y axis (see the yAxes
+            option): the columns of yAxes.right on the right, or with
+            yAxes.auto the columns at least yAxisRatio times smaller than
+            the largest one, in absolute value. The others are on the left.
+        */
+        const yAxisRatio = 10;
+        function assignYAxes(newColumns) {
+            const magnitude = column => d3.max(columnExtents[column], Math.abs);
+            const largest = d3.max(newColumns, magnitude);
+            const isRight = options.yAxes.right.length > 0
+                ? column => options.yAxes.right.includes(column)
+                : column => options.yAxes.auto && magnitude(column) * yAxisRatio <= largest;
+            yAxisSides = {};
+            newColumns.forEach(column => yAxisSides[column] = isRight(column) ? 'right' : 'left');
+        }
+        assignYAxes(columns);
 
         /*
             This code creates and configures  separate line paths for a line chart
             within the SVG element. Each line represents a different data series
-            (amount1, amount2, amount3......).
+            (amount1, amount2, amount3......). Lines drawn on the canvas
+            have no path.
+            Create dynamic checkboxes and legends, in a container of this
+            chart (see the legend option) so that charts on the same page
+            don't toggle each other's lines.
+            setColumns() adds and removes lines and checkboxes when the
+            chart is updated with data which has other columns; checkboxes
+            of the columns which remain keep their state.
         */
         const amountLines = {};
-        columns.forEach((column, i) => {
-            amountLines[column] = svg.append('path')
-                .attr('class', 'line')
-                .attr('data-column', column) // Add data-column attribute
-                .style('stroke', d3.schemeCategory10[i % 10])
-                .style('stroke-width', 2) // Thicker line
-                .style('fill', 'none')
-                .style('opacity', 0); // Initially hide the line
-        });
+        // Each column keeps its colour, whichever lines are displayed.
+        const color = createColorScale(options.theme, columns);
+        const checkboxContainer = addLegendContainer(chartLocation, options, 'checkbox-container');
+        const checkboxes = {};
+        function setColumns(newColumns) {
+            Object.keys(checkboxes)
+                .filter(column => !newColumns.includes(column))
+                .forEach(column => {
+                    d3.select(checkboxes[column].parentNode).remove();
+                    delete checkboxes[column];
+                    delete overlayToggles[column];
+                    if (amountLines[column]) {
+                        amountLines[column].remove();
+                        delete amountLines[column];
+                    }
+                });
+            columns = newColumns;
 
-        // Create dynamic checkboxes and legends.
-        const checkboxContainer = d3.select('.checkbox-container');
-        columns.forEach((column, i) => {
-            checkboxContainer.append('label')
-                .html(`<input type="checkbox" checked id="checkbox-${column}"> <span style="color: ${d3.schemeCategory10[i % 10]};">&#9679;</span> ${column}`)
-                .style('display', 'block');
-        });
+            columns.forEach(column => {
+                if (!checkboxes[column]) {
+                    const label = checkboxContainer.append('label')
+                        .style('display', 'block');
+                    checkboxes[column] = label.append('input')
+                        .attr('type', 'checkbox')
+                        .attr('data-column', column)
+                        .property('checked', true)
+                        .on('change', () => {
+                            updateLines();
+                            viewChanged();
+                        })
+                        .node();
+                    label.append('span')
+                        .attr('class', 'line-color')
+                        .html(' &#9679;');
+                    label.append('span')
+                        .text(` ${column}`);
+                    label.append('span')
+                        .attr('class', 'y-axis-side');
+                    if (showsOverlays) {
+                        overlayToggles[column] = label.append('input')
+                            .attr('type', 'checkbox')
+                            .attr('class', 'overlay-toggle')
+                            .attr('aria-label', `Statistics of ${column}`)
+                            .property('checked', options.overlays.series === null || options.overlays.series.includes(column))
+                            .on('change', () => placeOverlays())
+                            .node();
+                        label.append('span')
+                            .attr('class', 'overlay-legend');
+                    }
+                }
+                // The slope of the trend line, which changes with the data.
+                if (showsOverlays) {
+                    const trend = describeTrend(getSeriesStatistics(column).trend, xAxisColumn, xAxisValues.isDate);
+                    d3.select(checkboxes[column].parentNode).select('.overlay-legend')
+                        .text(` statistics${trend ? `, ${trend}` : ''}`);
+                }
+                d3.select(checkboxes[column].parentNode).select('.y-axis-side')
+                    .text(yAxisSides[column] === 'right' ? ' (right axis)' : '');
+                // Keep the checkboxes in the order of the columns, in the colors of the lines.
+                checkboxContainer.node().appendChild(checkboxes[column].parentNode);
+                d3.select(checkboxes[column].parentNode).select('.line-color')
+                    .style('color', color(column));
+
+                if (!canvasContext && !amountLines[column]) {
+                    amountLines[column] = svg.append('path')
+                        .attr('class', 'line')
+                        .attr('data-column', column) // Add data-column attribute
+                        .attr('clip-path', `url(#${clipId})`)
+                        .style('stroke', color(column))
+                        .style('stroke-width', 2) // Thicker line
+                        .style('fill', 'none')
+                        .style('opacity', 0) // Initially hide the line
+                        // The hover area under the mouse shows the tooltip, see below.
+                        .style('pointer-events', 'none');
+                }
+            });
+        }
 
         // Add tooltips
         const tooltip = d3.select(chartLocation).append('div')
             .attr('class', 'tooltip')
             .style('opacity', 0)
             .style('position', 'absolute')
-            .style('background-color', '#fff')
-            .style('border', '1px solid #ccc')
+            .style('background-color', options.theme.tooltip.background)
+            .style('color', options.theme.tooltip.color)
+            .style('border', options.theme.tooltip.border)
             .style('padding', '5px')
             .style('border-radius', '4px');
 
-        // Create a tooltip container for each line path.
-        svg.selectAll('.line')
-            .on('mouseover', function(event, d) {
-                tooltip.transition().duration(200).style('opacity', .9);
-                // Bring the hovered line to the front.
-                d3.select(this).raise();
-            })
-            .on('mousemove', function(event, d) {
-                const [mx, my] = d3.pointer(event);
-                const xValue = x.invert(mx);
-
-                // Find the closest data point to the mouse
-                const closestData = data.reduce((prev, curr) => {
-                    const prevDist = Math.abs(prev[xAxisColumn] - xValue);
-                    const currDist = Math.abs(curr[xAxisColumn] - xValue);
-                    return currDist < prevDist ? curr : prev;
-                });
+        /*
+            Hovering anywhere over the chart shows a vertical crosshair at
+            the closest row, a dot on each selected line and a tooltip
+            listing their values at that row, highest first. The lines are
+            too thin to point at, and lines drawn on the canvas receive no
+            mouse events, so an invisible rectangle over the chart follows
+            the mouse instead.
+        */
+        const crosshair = svg.append('g')
+            .attr('class', 'crosshair')
+            .style('pointer-events', 'none')
+            .style('display', 'none');
+        crosshair.append('line')
+            .attr('y1', 0)
+            .style('stroke', options.theme.foreground)
+            .style('stroke-opacity', .5)
+            .style('stroke-dasharray', '3,3');
+        // Row under the crosshair, null when it is hidden.
+        let hoveredRow = null;
+
+        // Find the closest row to the mouse, by bisection on the sorted rows.
+        function closestRow(event) {
+            const [mx] = d3.pointer(event, svg.node());
+            return data[xBisector.center(data, x.invert(mx))];
+        }
+
+        // Place the crosshair on hoveredRow, or hide it.
+        function drawCrosshair() {
+            const cx = hoveredRow ? x(hoveredRow[xAxisColumn]) : null;
+            // The row may be out of view once zoomed.
+            if (cx === null || cx < 0 || cx > width) {
+                crosshair.style('display', 'none');
+                return;
+            }
+            crosshair.style('display', null);
+            crosshair.select('line')
+                .attr('x1', cx)
+                .attr('x2', cx)
+                .attr('y2', height);
+            crosshair.selectAll('circle')
+                .data(selectedColumns())
+                .join('circle')
+                .attr('r', 3)
+                .attr('cx', cx)
+                .attr('cy', column => yScale(column)(hoveredRow[column]))
+                .style('fill', color);
+        }
+
+        // List the values of the selected lines at a row, labelled with the x column.
+        function showTooltip(event, row) {
+            tooltip.selectAll('*').remove();
+            tooltip.append('div')
+                .style('font-weight', 'bold')
+                .text(`${xAxisColumn}: ${xAxisValues.format(row[xAxisColumn])}`);
+            d3.sort(selectedColumns(), column => -row[column]).forEach(column => {
+                const item = tooltip.append('div');
+                item.append('span')
+                    .style('color', color(column))
+                    .html('&#9679; ');
+                item.append('span')
+                    .text(`${column}: ${row[column]}${yAxisSides[column] === 'right' ? ' (right axis)' : ''}`);
+            });
+            tooltip
+                .style('left', `${event.pageX + 5}px`)
+                .style('top', `${event.pageY - 28}px`);
+        }
 
-                // Get column name from the data-column attribute.
-                const column = d3.select(this).attr('data-column');
-                tooltip.html(`Week: ${closestData[xAxisColumn]}<br>${column}: ${closestData[column]}`)
-                    .style('left', `${event.pageX + 5}px`)
-                    .style('top', `${event.pageY - 28}px`);
+        setColumns(columns);
+
+        svg.append('rect')
+            .attr('class', 'hover-area')
+            .attr('width', width)
+            .attr('height', height)
+            .style('fill', 'none')
+            .style('pointer-events', 'all')
+            .on('mouseover', () => tooltip.transition().duration(200).style('opacity', .9))
+            .on('mousemove', event => {
+                hoveredRow = closestRow(event);
+                drawCrosshair();
+                showTooltip(event, hoveredRow);
             })
-            .on('mouseout', function(d) {
+            .on('mouseout', () => {
+                hoveredRow = null;
+                drawCrosshair();
                 tooltip.transition().duration(500).style('opacity', 0);
             });
 
+        // Columns whose checkbox is checked.
+        function selectedColumns() {
+            return columns.filter(col => checkboxes[col].checked);
+        }
+
+        // Draw the selected lines on the canvas, replacing what was there.
+        function drawCanvasLines(selectedLines) {
+            canvasContext.clearRect(0, 0, width, height);
+            canvasContext.lineWidth = 1;
+            selectedLines.forEach(column => {
+                canvasContext.beginPath();
+                canvasLines[yAxisSides[column]](getLineData(column));
+                canvasContext.strokeStyle = color(column);
+                canvasContext.stroke();
+            });
+        }
+
+        /*
+            Zoom and pan on the x axis (see the zoom option): the mouse wheel
+            zooms and dragging pans. x follows the zoom while xOverview keeps
+            the full extent, for the overview strip and to compute the
+            zoomed domain.
+        */
+        const xOverview = x.copy();
+        const yOverviews = {
+            left: d3.scaleLinear().range([options.zoom.contextHeight, 0]),
+            right: d3.scaleLinear().range([options.zoom.contextHeight, 0]),
+        };
+        let overview = null;
+        let zoom = null;
+        let brush = null;
+        if (options.zoom.enabled) {
+            // Set while the brush and the zoom update each other, to avoid loops.
+            let syncing = false;
+
+            zoom = d3.zoom()
+                .scaleExtent([1, Math.max(2, data.length / 5)])
+                // A function, so it follows the size of responsive charts.
+                .extent(() => [[0, 0], [width, height]])
+                .translateExtent([[0, 0], [width, height]])
+                .on('zoom', event => {
+                    x.domain(event.transform.rescaleX(xOverview).domain());
+                    redrawX();
+                    if (brush && !syncing) {
+                        syncing = true;
+                        overview.select('.brush').call(brush.move, x.range().map(event.transform.invertX, event.transform));
+                        syncing = false;
+                    }
+                })
+                // Only the visitor's zooms change the view: not resizes or setView().
+                .on('end', event => {
+                    if (event.sourceEvent) {
+                        viewChanged();
+                    }
+                });
+
+            // An invisible background, so the empty parts of the chart can be dragged too.
+            svg.insert('rect', ':first-child')
+                .attr('class', 'zoom-area')
+                .attr('width', width)
+                .attr('height', height)
+                .style('fill', 'none')
+                .style('pointer-events', 'all');
+            svg.call(zoom);
+
+            /*
+                The overview strip shows all the selected lines over the
+                full x extent under the chart, with a brush marking the
+                visible window: moving or redrawing the brush zooms.
+            */
+            if (options.zoom.context) {
+                overview = d3.select(svg.node().ownerSVGElement).append('g')
+                    .attr('class', 'overview')
+                    .attr('transform', `translate(${margin.left},${margin.top + height + margin.bottom})`);
+                overview.append('g').attr('class', 'overview-lines');
+                overview.append('g')
+                    .attr('class', 'overview-axis')
+                    .attr('transform', `translate(0,${options.zoom.contextHeight})`)
+                    .call(configureXTicks(d3.axisBottom(xOverview), data, xAxisValues.isDate, width, options))
+                    .call(applyAxisTheme, options.theme);
+
+                brush = d3.brushX()
+                    .extent([[0, 0], [width, options.zoom.contextHeight]])
+                    .on('brush end', event => {
+                        if (syncing) {
+                            return;
+                        }
+                        // Clicking outside the brush clears it: show everything.
+                        const [s0, s1] = event.selection || xOverview.range();
+                        syncing = true;
+                        svg.call(zoom.transform, d3.zoomIdentity.scale(width / (s1 - s0)).translate(-s0, 0));
+                        syncing = false;
+                        if (event.type === 'end' && event.sourceEvent) {
+                            viewChanged();
+                        }
+                    });
+                overview.append('g')
+                    .attr('class', 'brush')
+                    .call(brush);
+            }
+
+            d3.select(chartLocation).append('button')
+                .attr('type', 'button')
+                .attr('class', 'zoom-reset')
+                .text('Reset zoom')
+                .on('click', () => {
+                    svg.transition().duration(duration).call(zoom.transform, d3.zoomIdentity)
+                        .on('end', () => viewChanged());
+                });
+        }
+
+        // Redraw the x axis and the lines after the x domain changed.
+        function redrawX() {
+            svg.select('.x-axis').call(xAxis);
+            drawCrosshair();
+            placeAnnotations();
+            placeOverlays();
+            if (canvasContext) {
+                drawCanvasLines(selectedColumns());
+                return;
+            }
+            selectedColumns().forEach(column => {
+                amountLines[column]
+                    .interrupt()
+                    .datum(getLineData(column))
+                    .attr('d', line(column))
+                    .style('opacity', 1);
+            });
+        }
+
+        // Draw the selected lines, downsampled to one point per pixel, in the overview strip.
+        const overviewData = {};
+        function drawOverview(selectedLines) {
+            if (!overview) {
+                return;
+            }
+            // Each side has its own scale, as in the chart.
+            Object.keys(yOverviews).forEach(side => yOverviews[side].domain(yScales[side].domain()));
+            overview.select('.overview-lines')
+                .selectAll('path')
+                .data(selectedLines)
+                .join('path')
+                .attr('d', column => {
+                    if (!overviewData[column]) {
+                        overviewData[column] = largestTriangleThreeBuckets(getLinePoints(column), Math.ceil(width), d => d[xAxisColumn], d => d.value);
+                    }
+                    return d3.line()
+                        .x(d => xOverview(d[xAxisColumn]))
+                        .y(d => yOverviews[yAxisSides[column]](d.value))(overviewData[column]);
+                })
+                .style('stroke', color)
+                .style('stroke-width', 1)
+                .style('fill', 'none');
+        }
+
         /*
             Update function for lines 
             The function first determines which lines should be visible based on the state
             of the checkboxes.
+            transitionDuration is 0 to update without animation, as when resizing.
         */            
-        function updateLines() {
-            const selectedLines = columns.filter(col => document.getElementById(`checkbox-${col}`).checked);
-
-            // Calculate new y-axis domain based on selected lines.
-            if (selectedLines.length > 0) {
-                const yExtent = d3.extent(data.flatMap(d => selectedLines.map(col => d[col])));
-                y.domain([yExtent[0], yExtent[1]]);
-            } else {
-                // Handle case with no selected lines.
-                y.domain([0, 0]);
-            }
+        function updateLines(transitionDuration = duration) {
+            const selectedLines = selectedColumns();
+
+            // Calculate new y-axis domains based on selected lines, each axis fitting its own lines.
+            const sideLines = {};
+            Object.keys(yScales).forEach(side => {
+                sideLines[side] = selectedLines.filter(column => yAxisSides[column] === side);
+                if (sideLines[side].length > 0) {
+                    const yExtent = d3.extent(sideLines[side].flatMap(col => columnExtents[col]));
+                    yScales[side].domain([yExtent[0], yExtent[1]]);
+                } else {
+                    // Handle case with no selected lines.
+                    yScales[side].domain([0, 0]);
+                }
+            });
+            // The right axis is only drawn when it has lines, or the left axis has none.
+            const dualAxes = sideLines.right.length > 0 && sideLines.left.length > 0;
+            const gridScale = sideLines.left.length > 0 || sideLines.right.length === 0 ? y : yRight;
 
             // Animate the y-axis transition
             svg.select('.y-axis')
+                .style('display', sideLines.left.length > 0 || sideLines.right.length === 0 ? null : 'none')
                 .transition()
-                .duration(750)
+                .duration(transitionDuration)
                 .call(d3.axisLeft(y));
+            svg.select('.y-axis-right')
+                .style('display', sideLines.right.length > 0 ? null : 'none')
+                .transition()
+                .duration(transitionDuration)
+                .call(d3.axisRight(yRight));
+
+            // With two axes, titles say which columns each axis is for.
+            svg.select('.y-axis-title-left')
+                .attr('x', -height / 2)
+                .attr('y', -margin.left)
+                .text(dualAxes ? sideLines.left.join(', ') : '');
+            svg.select('.y-axis-title-right')
+                .attr('x', height / 2)
+                .attr('y', -width - margin.right)
+                .text(dualAxes ? sideLines.right.join(', ') : '');
+
+            // Keep the gridlines in line with the y-axis ticks.
+            svg.select('.grid')
+                .transition()
+                .duration(transitionDuration)
+                .call(d3.axisLeft(gridScale)
+                    .tickSize(-width)
+                    .tickFormat('')
+                );
+
+            drawOverview(selectedLines);
+            drawCrosshair();
+            placeAnnotations(transitionDuration);
+            placeOverlays(transitionDuration);
+
+            if (canvasContext) {
+                drawCanvasLines(selectedLines);
+                return;
+            }
 
             // It updates the path data and color of each visible line to reflect the current
             // data and styling preferences.
             selectedLines.forEach((column, index) => {
                 amountLines[column]
-                    .datum(data.map(d => ({ [xAxisColumn]: d[xAxisColumn], value: d[column] })))
+                    .datum(getLineData(column))
                     // Apply transition to the path.
                     .transition()
-                    // Staggered delay for each line.
-                    .delay(index * 500)
-                    .duration(750)
-                    .attr('d', line)
+                    // Staggered delay for each line, except in performance mode.
+                    .delay(performanceMode || !transitionDuration ? 0 : index * 500)
+                    .duration(transitionDuration)
+                    .attr('d', line(column))
                     // Make line visible.
                     .style('opacity', 1)
-                    .style('stroke', d3.schemeCategory10[columns.indexOf(column) % 10]);
+                    .style('stroke', color(column));
             });
 
             // It hides or shows each line accordingly.
             columns.forEach(column => {
                 if (!selectedLines.includes(column)) {
                     amountLines[column].transition()
-                        .duration(750)
+                        .duration(transitionDuration)
                         // Hide line with animation.
                         .style('opacity', 0);
                 }
@@ -314,12 +827,254 @@
         // Initial rendering of lines and y-axis
         updateLines();
 
-        // Add event listeners to checkboxes
-        columns.forEach(column => {
-            document.getElementById(`checkbox-${column}`).addEventListener('change', updateLines);
+        /*
+            New data can cross performance.canvasThreshold either way: the
+            lines then move from SVG paths to a canvas, or back. The paths
+            removed here are added again by setColumns().
+        */
+        function switchCanvasLayer() {
+            if (needsCanvas() && !canvasContext) {
+                canvasContext = createCanvasLayer(svg, width, height);
+                if (canvasContext) {
+                    Object.keys(amountLines).forEach(column => {
+                        amountLines[column].interrupt().remove();
+                        delete amountLines[column];
+                    });
+                }
+            }
+            else if (!needsCanvas() && canvasContext) {
+                svg.select('.canvas-layer').remove();
+                canvasContext = null;
+            }
+            Object.keys(canvasLines).forEach(side => canvasLines[side].context(canvasContext));
+        }
+
+        /*
+            Display new data (see createChartHandle()): the x axis moves to
+            the new extent and updateLines() animates the lines and the y
+            axis to the new values. A zoomed chart keeps its zoom level and
+            position over the new extent.
+        */
+        function update(loaded) {
+            if (loaded.xAxisValues.isDate !== xAxisValues.isDate) {
+                const kind = isDate => isDate ? 'dates' : 'numbers';
+                throw new ChartDataError(`The ${loaded.columns.x} column of the new data contains ${kind(loaded.xAxisValues.isDate)}, but the chart displays ${kind(xAxisValues.isDate)}.`);
+            }
+
+            ({ data, columns: { x: xAxisColumn }, xAxisValues, annotations } = loaded);
+            // The hovered row belongs to the old data.
+            hoveredRow = null;
+            data.sort((a, b) => a[xAxisColumn] - b[xAxisColumn]);
+            pointCount = data.length * loaded.columns.y.length;
+            performanceMode = isPerformanceMode(options, pointCount);
+            duration = performanceMode ? 0 : 750;
+            switchCanvasLayer();
+
+            // Points and extents are computed again from the new rows.
+            [linePoints, fullViewData, overviewData, columnExtents, seriesStatistics].forEach(cache => {
+                Object.keys(cache).forEach(column => delete cache[column]);
+            });
+            loaded.columns.y.forEach(column => columnExtents[column] = d3.extent(data, d => d[column]));
+            assignYAxes(loaded.columns.y);
+            setColumns(loaded.columns.y);
+
+            xOverview.domain(d3.extent(data, d => d[xAxisColumn]));
+            configureXTicks(xAxis, data, xAxisValues.isDate, width, options);
+            if (zoom) {
+                zoom.scaleExtent([1, Math.max(2, data.length / 5)]);
+                x.domain(d3.zoomTransform(svg.node()).rescaleX(xOverview).domain());
+            }
+            else {
+                x.domain(xOverview.domain());
+            }
+            svg.select('.x-axis')
+                .transition()
+                .duration(duration)
+                .call(xAxis);
+            if (overview) {
+                overview.select('.overview-axis')
+                    .call(configureXTicks(d3.axisBottom(xOverview), data, xAxisValues.isDate, width, options));
+            }
+
+            updateLines();
+            describe();
+            if (dataTable) {
+                dataTable.refresh();
+            }
+        }
+
+        /*
+            Responsive charts (see render-chart.js) are laid out again in
+            place when resized: the scales, axes and lines follow the new
+            size without animation, and a zoomed chart keeps showing the
+            same x range.
+        */
+        function resize(size) {
+            const visibleDomain = x.domain();
+
+            width = size.width - margin.left - margin.right;
+            height = size.height - margin.top - margin.bottom
+                - (options.zoom.context ? options.zoom.contextHeight + margin.bottom : 0);
+            d3.select(svg.node().ownerSVGElement)
+                .attr('width', size.width)
+                .attr('height', size.height);
+
+            x.range([0, width]);
+            xOverview.range([0, width]);
+            Object.keys(yScales).forEach(side => yScales[side].range([height, 0]));
+            configureXTicks(xAxis, data, xAxisValues.isDate, width, options);
+            svg.select('.x-axis').attr('transform', `translate(0,${height})`);
+            svg.select('.y-axis-right').attr('transform', `translate(${width},0)`);
+            svg.select(`#${clipId} rect`)
+                .attr('width', width)
+                .attr('height', height);
+            svg.selectAll('.zoom-area, .hover-area')
+                .attr('width', width)
+                .attr('height', height);
+            if (canvasContext) {
+                resizeCanvasLayer(canvasContext, width, height);
+            }
+
+            // Downsampled lines depend on the width.
+            maxPoints = options.performance.maxPoints || Math.ceil(width);
+            Object.keys(fullViewData).forEach(column => delete fullViewData[column]);
+            Object.keys(overviewData).forEach(column => delete overviewData[column]);
+
+            if (overview) {
+                overview.attr('transform', `translate(${margin.left},${margin.top + height + margin.bottom})`);
+                overview.select('.overview-axis')
+                    .call(configureXTicks(d3.axisBottom(xOverview), data, xAxisValues.isDate, width, options));
+                brush.extent([[0, 0], [width, options.zoom.contextHeight]]);
+                overview.select('.brush').call(brush);
+            }
+
+            svg.select('.x-axis').call(xAxis);
+            if (zoom) {
+                zoom.translateExtent([[0, 0], [width, height]]);
+                // Zoom on the range which was visible, which redraws the x axis and the lines.
+                const [s0, s1] = visibleDomain.map(xOverview);
+                svg.call(zoom.transform, d3.zoomIdentity.scale(width / (s1 - s0)).translate(-s0, 0));
+            }
+            updateLines(0);
+        }
+
+        // The CSV download contains the selected lines, for the rows in view when zoomed.
+        if (options.export.enabled) {
+            addExportControls(chartLocation, svg.node().ownerSVGElement, options, () => {
+                const [x0, x1] = x.domain();
+                const selectedLines = selectedColumns();
+                return {
+                    columns: [xAxisColumn].concat(selectedLines),
+                    rows: data
+                        .filter(d => d[xAxisColumn] >= x0 && d[xAxisColumn] <= x1)
+                        .map(d => {
+                            const row = { [xAxisColumn]: xAxisValues.format(d[xAxisColumn]) };
+                            selectedLines.forEach(column => row[column] = d[column]);
+                            return row;
+                        }),
+                };
+            });
+        }
+
+        /*
+            Accessibility (see chart-accessibility.js): a title and a
+            description for screen readers, the arrow keys move through the
+            rows in view (left and right) and the selected lines (up and
+            down) showing the same tooltip as the mouse, and a button shows
+            the data as a table.
+        */
+        const chartTitle = () => options.accessibility.title || `Line chart of ${columns.join(', ')} by ${xAxisColumn}`;
+        function describe() {
+            const ranges = columns.map(column => describeRange(data, column)).join('; ');
+            const [first, last] = xOverview.domain().map(xAxisValues.format);
+            describeChart(svg.node().ownerSVGElement, chartTitle(),
+                `${data.length} rows from ${xAxisColumn} ${first} to ${last}; ${ranges}. ${keyboardHint}`);
+        }
+        describe();
+
+        // Index of the first row and of the row after the last in view.
+        function visibleRows() {
+            const [x0, x1] = x.domain();
+            return [xBisector.left(data, x0), xBisector.right(data, x1)];
+        }
+
+        addKeyboardNavigation(chartLocation, svg.node().ownerSVGElement, {
+            count: () => visibleRows()[1] - visibleRows()[0],
+            seriesCount: () => selectedColumns().length,
+            focus(index, series) {
+                const row = data[visibleRows()[0] + index];
+                const column = selectedColumns()[series];
+                hoveredRow = row;
+                drawCrosshair();
+                // The focused line has a larger dot than the crosshair's.
+                svg.selectAll('.focus-point')
+                    .data([row])
+                    .join('circle')
+                    .attr('class', 'focus-point')
+                    .attr('r', 5)
+                    .attr('cx', x(row[xAxisColumn]))
+                    .attr('cy', yScale(column)(row[column]))
+                    .style('fill', color(column));
+
+                // Place the tooltip by the point, as the mouse would.
+                const box = svg.node().ownerSVGElement.getBoundingClientRect();
+                showTooltip({
+                    pageX: box.left + window.scrollX + margin.left + x(row[xAxisColumn]),
+                    pageY: box.top + window.scrollY + margin.top + yScale(column)(row[column]),
+                }, row);
+                tooltip.interrupt().style('opacity', .9);
+                return `${xAxisColumn} ${xAxisValues.format(row[xAxisColumn])}, ${column}: ${row[column]}`;
+            },
+            blur() {
+                hoveredRow = null;
+                drawCrosshair();
+                svg.selectAll('.focus-point').remove();
+                tooltip.transition().duration(500).style('opacity', 0);
+            },
         });
-    }).catch(error => {
-        console.error('Error loading or parsing data:', error);
-        d3.select(chartLocation).append('p').text('Failed to load data.').style('color', 'red');
+
+        const dataTable = options.accessibility.table
+            ? addDataTable(chartLocation, () => ({
+                caption: chartTitle(),
+                columns: [xAxisColumn].concat(columns),
+                rows: data.map(d => {
+                    const row = { [xAxisColumn]: xAxisValues.format(d[xAxisColumn]) };
+                    columns.forEach(column => row[column] = d[column]);
+                    return row;
+                }),
+            }))
+            : null;
+
+        /*
+            The view, see getView() in createChartHandle(): the selected
+            lines, and the x range in view once zoomed. It is kept in the
+            URL with the urlState option (see url-state.js).
+        */
+        function getView() {
+            const selectedLines = selectedColumns();
+            const zoomed = zoom && d3.zoomTransform(svg.node()).k > 1;
+            return {
+                series: selectedLines.length === columns.length ? null : selectedLines,
+                zoom: zoomed ? x.domain() : null,
+            };
+        }
+
+        function setView(view) {
+            // Columns the data no longer has are ignored.
+            columns.forEach(column => checkboxes[column].checked = !view.series || view.series.includes(column));
+            updateLines();
+            if (!zoom) {
+                return;
+            }
+            // Values read from the URL are strings.
+            const toX = value => xAxisValues.isDate ? new Date(value) : +value;
+            const [s0, s1] = view.zoom
+                ? view.zoom.map(value => Math.max(0, Math.min(width, xOverview(toX(value)))))
+                : xOverview.range();
+            const transform = s1 > s0 ? d3.zoomIdentity.scale(width / (s1 - s0)).translate(-s0, 0) : d3.zoomIdentity;
+            svg.call(zoom.transform, transform);
+        }
+
+        return { update, resize, getView, setView };
     });
 }
\ No newline at end of file
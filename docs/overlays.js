@@ -0,0 +1,191 @@
+/**
+ * Statistics drawn over the lines of line charts.
+ *
+ * With the overlays option each series can show a rolling mean or median,
+ * a band between two percentiles of the same rolling window, a
+ * least-squares trend line, whose slope is written in the legend, and
+ * markers on its lowest, highest and last values. Statistics are worked out
+ * from the rows once (see computeSeriesStatistics()) and drawn with
+ * drawSeriesStatistics() each time the scales change.
+ */
+
+/**
+ * Rolling statistics, by name of the overlays.rolling option.
+ */
+const rollingMethods = {
+    mean: d3.mean,
+    median: d3.median,
+};
+
+/**
+ * Markers which can be drawn on a series, see the overlays.markers option.
+ */
+const statisticMarkers = ['min', 'max', 'last'];
+
+/**
+ * Whether the overlays option asks for any statistic.
+ *
+ * @param {object} overlays
+ *   The overlays option, normalized by renderChart().
+ *
+ * @return {bool}
+ */
+function hasOverlays(overlays) {
+    return overlays.rolling !== null || overlays.band !== null || overlays.trend || overlays.markers.length > 0;
+}
+
+/**
+ * Work out the statistics of a series.
+ *
+ * Rolling statistics are computed over the window rows ending with each
+ * row, from the row where the window is full.
+ *
+ * @param {object[]} data
+ *   The rows, sorted by x.
+ * @param {string} xColumn
+ *   The x axis column, of numbers or dates.
+ * @param {string} column
+ *   The column of the series.
+ * @param {object} overlays
+ *   The overlays option, normalized by renderChart().
+ *
+ * @return {object}
+ *   {rolling, band, trend, markers}, null where the option doesn't ask for
+ *   them:
+ *   - rolling: points {x, value} of the rolling mean or median;
+ *   - band: points {x, low, high} of the rolling percentiles;
+ *   - trend: {slope, intercept}, where value = slope × x + intercept, x
+ *     being a number of milliseconds for dates; null for a single row;
+ *   - markers: {kind, x, value} for each marker of overlays.markers.
+ */
+function computeSeriesStatistics(data, xColumn, column, overlays) {
+    const xs = data.map(d => d[xColumn]);
+    const values = data.map(d => d[column]);
+    const windows = () => d3.range(Math.min(overlays.window, values.length) - 1, values.length)
+        .map(i => ({ x: xs[i], values: values.slice(Math.max(0, i - overlays.window + 1), i + 1) }));
+
+    const statistics = { rolling: null, band: null, trend: null, markers: [] };
+    if (overlays.rolling !== null) {
+        statistics.rolling = windows().map(w => ({ x: w.x, value: rollingMethods[overlays.rolling](w.values) }));
+    }
+    if (overlays.band !== null) {
+        statistics.band = windows().map(w => {
+            const sorted = w.values.slice().sort(d3.ascending);
+            return { x: w.x, low: d3.quantileSorted(sorted, overlays.band[0] / 100), high: d3.quantileSorted(sorted, overlays.band[1] / 100) };
+        });
+    }
+    if (overlays.trend && values.length > 1) {
+        // Least squares fit of value = slope × x + intercept.
+        const meanX = d3.mean(xs, x => +x);
+        const meanY = d3.mean(values);
+        const covariance = d3.sum(xs, (x, i) => (+x - meanX) * (values[i] - meanY));
+        const variance = d3.sum(xs, x => (+x - meanX) ** 2);
+        const slope = variance === 0 ? 0 : covariance / variance;
+        statistics.trend = { slope, intercept: meanY - slope * meanX };
+    }
+    statistics.markers = overlays.markers.map(kind => {
+        const index = kind === 'min' ? d3.minIndex(values) : kind === 'max' ? d3.maxIndex(values) : values.length - 1;
+        return { kind, x: xs[index], value: values[index] };
+    });
+    return statistics;
+}
+
+/**
+ * Describe the slope of a trend line, for the legend.
+ *
+ * @param {object} trend
+ *   The trend, as computeSeriesStatistics() returns it, or null.
+ * @param {string} xColumn
+ *   The x axis column.
+ * @param {bool} isDate
+ *   Whether x values are dates, whose slope is given per day.
+ *
+ * @return {string}
+ *   Such as "trend +0.52 per week", or "" without a trend.
+ */
+function describeTrend(trend, xColumn, isDate) {
+    if (!trend) {
+        return '';
+    }
+    const slope = isDate ? trend.slope * 864e5 : trend.slope;
+    return `trend ${d3.format('+.3~r')(slope)} per ${isDate ? 'day' : xColumn}`;
+}
+
+/**
+ * Draw the statistics of a series, or move them to new scales.
+ *
+ * @param {object} group
+ *   The D3 selection of the group the statistics of the series are drawn
+ *   in. Drawing again in the same group moves them.
+ * @param {object} statistics
+ *   What computeSeriesStatistics() returned for the series.
+ * @param {object} scales
+ *   {x, y}: the scales of the series.
+ * @param {string} color
+ *   Colour of the series.
+ * @param {object} theme
+ *   The theme, see resolveChartTheme().
+ * @param {number} duration
+ *   Length of the move to the new scales in milliseconds, 0 to move at
+ *   once.
+ */
+function drawSeriesStatistics(group, statistics, scales, color, theme, duration = 0) {
+    const { x, y } = scales;
+    const move = selection => duration ? selection.transition().duration(duration) : selection;
+    const [x0, x1] = x.domain();
+
+    // The band is under the other statistics.
+    move(group.selectAll('path.overlay-band')
+        .data(statistics.band ? [statistics.band] : [])
+        .join('path')
+        .attr('class', 'overlay-band')
+        .style('fill', color)
+        .style('fill-opacity', 0.15)
+        .style('stroke', 'none'))
+        .attr('d', d3.area().x(d => x(d.x)).y0(d => y(d.low)).y1(d => y(d.high)));
+
+    move(group.selectAll('path.overlay-rolling')
+        .data(statistics.rolling ? [statistics.rolling] : [])
+        .join('path')
+        .attr('class', 'overlay-rolling')
+        .style('fill', 'none')
+        .style('stroke', color)
+        .style('stroke-width', 2)
+        .style('stroke-dasharray', '6 3'))
+        .attr('d', d3.line().x(d => x(d.x)).y(d => y(d.value)));
+
+    // The trend line crosses the x range in view.
+    const trendAt = value => statistics.trend.slope * +value + statistics.trend.intercept;
+    move(group.selectAll('line.overlay-trend')
+        .data(statistics.trend ? [statistics.trend] : [])
+        .join('line')
+        .attr('class', 'overlay-trend')
+        .style('stroke', color)
+        .style('stroke-width', 1.5)
+        .style('stroke-dasharray', '2 3'))
+        .attr('x1', x(x0))
+        .attr('x2', x(x1))
+        .attr('y1', () => y(trendAt(x0)))
+        .attr('y2', () => y(trendAt(x1)));
+
+    const markers = group.selectAll('g.overlay-marker')
+        .data(statistics.markers, d => d.kind)
+        .join(enter => {
+            const marker = enter.append('g')
+                .attr('class', d => `overlay-marker overlay-marker-${d.kind}`);
+            marker.append('circle')
+                .attr('r', 3.5)
+                .style('fill', theme.background || '#fff')
+                .style('stroke-width', 2);
+            marker.append('text')
+                .attr('dy', d => d.kind === 'min' ? '1.2em' : '-0.6em')
+                .attr('font-size', theme.fontSize)
+                .style('text-anchor', 'middle')
+                .style('fill', theme.foreground);
+            return marker;
+        });
+    markers.select('circle').style('stroke', color);
+    markers.select('text').text(d => `${d.kind} ${d.value}`);
+    move(markers)
+        .attr('transform', d => `translate(${x(d.x)},${y(d.value)})`);
+}
@@ -0,0 +1,166 @@
+/**
+ * Tools to keep charts of large CSV files interactive.
+ *
+ * With thousands of rows a chart has far more points than pixels: drawing
+ * them all makes SVG paths slow to animate and hover, without showing
+ * anything more. See the performance option of renderChart().
+ */
+
+/**
+ * Decide whether a chart should render in performance mode.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ * @param {int} pointCount
+ *   Number of points the chart would draw, for example rows × columns.
+ *
+ * @return {bool}
+ *   True if performance.mode is true, or if it is "auto" and the chart has
+ *   more than performance.threshold points.
+ */
+function isPerformanceMode(options, pointCount) {
+    if (options.performance.mode === 'auto') {
+        return pointCount > options.performance.threshold;
+    }
+    return options.performance.mode;
+}
+
+/**
+ * Reduce a series to fewer points while keeping its visual shape.
+ *
+ * This is the Largest-Triangle-Three-Buckets algorithm by Sveinn
+ * Steinarsson: the first and last points are kept, the others are split into
+ * buckets and each bucket keeps the point forming the largest triangle with
+ * the point kept in the previous bucket and the average of the next bucket.
+ * Peaks and dips therefore survive, unlike with plain averaging.
+ *
+ * See https://skemman.is/handle/1946/15343.
+ *
+ * @param {object[]} points
+ *   The series, ordered by x.
+ * @param {int} threshold
+ *   Number of points to keep, at least 3.
+ * @param {function} x
+ *   Returns the x value of a point as a number (dates are converted with +).
+ * @param {function} y
+ *   Returns the y value of a point.
+ *
+ * @return {object[]}
+ *   The points kept, or the series itself if it is already small enough.
+ */
+function largestTriangleThreeBuckets(points, threshold, x, y) {
+    if (threshold >= points.length || threshold < 3) {
+        return points;
+    }
+
+    const sampled = [points[0]];
+    // The first and last points are kept, the others are split into buckets.
+    const bucketSize = (points.length - 2) / (threshold - 2);
+    let previous = 0;
+
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        // Average of the next bucket (the last point for the last bucket).
+        const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+        let averageX = 0;
+        let averageY = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageX += +x(points[i]);
+            averageY += y(points[i]);
+        }
+        averageX /= nextEnd - nextStart;
+        averageY /= nextEnd - nextStart;
+
+        // Keep the point of this bucket which forms the largest triangle.
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+        const previousX = +x(points[previous]);
+        const previousY = y(points[previous]);
+        let largestArea = -1;
+        let kept = start;
+        for (let i = start; i < end; i++) {
+            const area = Math.abs(
+                (previousX - averageX) * (y(points[i]) - previousY)
+                - (previousX - +x(points[i])) * (averageY - previousY)
+            );
+            if (area > largestArea) {
+                largestArea = area;
+                kept = i;
+            }
+        }
+
+        sampled.push(points[kept]);
+        previous = kept;
+    }
+
+    sampled.push(points[points.length - 1]);
+    return sampled;
+}
+
+/**
+ * Add a canvas to draw on inside the plotting area of a chart.
+ *
+ * Past a few hundred thousand points even downsampled SVG paths are slow to
+ * redraw, while a canvas redraws them in milliseconds. The canvas lives in a
+ * <foreignObject> so it is positioned in SVG coordinates like the axes, and
+ * is scaled for high-density screens.
+ *
+ * @param {object} svg
+ *   The D3 selection of the group where the chart is drawn.
+ * @param {int} width
+ *   Width of the chart.
+ * @param {int} height
+ *   Height of the chart.
+ *
+ * @return {CanvasRenderingContext2D|null}
+ *   The drawing context, whose coordinates are those of the chart, or null
+ *   if the browser cannot draw on a canvas, in which case nothing is added.
+ */
+function createCanvasLayer(svg, width, height) {
+    const ratio = window.devicePixelRatio || 1;
+
+    const canvas = svg.append('foreignObject')
+        .attr('class', 'canvas-layer')
+        .attr('width', width)
+        .attr('height', height)
+        // Let the mouse events reach the elements under the canvas.
+        .style('pointer-events', 'none')
+        .append('xhtml:canvas')
+        .attr('width', width * ratio)
+        .attr('height', height * ratio)
+        .style('width', `${width}px`)
+        .style('height', `${height}px`);
+
+    const context = canvas.node().getContext ? canvas.node().getContext('2d') : null;
+    if (!context) {
+        svg.select('.canvas-layer').remove();
+        return null;
+    }
+    context.scale(ratio, ratio);
+    return context;
+}
+
+/**
+ * Resize a canvas added by createCanvasLayer(), for example when a responsive
+ * chart is resized. The canvas is cleared.
+ *
+ * @param {CanvasRenderingContext2D} context
+ *   The drawing context returned by createCanvasLayer().
+ * @param {int} width
+ *   New width of the chart.
+ * @param {int} height
+ *   New height of the chart.
+ */
+function resizeCanvasLayer(context, width, height) {
+    const ratio = window.devicePixelRatio || 1;
+    const canvas = d3.select(context.canvas)
+        .attr('width', width * ratio)
+        .attr('height', height * ratio)
+        .style('width', `${width}px`)
+        .style('height', `${height}px`);
+    d3.select(canvas.node().parentNode)
+        .attr('width', width)
+        .attr('height', height);
+    // Resizing a canvas resets its drawing context.
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
@@ -1,125 +1,200 @@
 /**
  * Display a multiple amounts agregated pie chart.
  *
- * @param {string} source
- *   A location such as data/multivalued-1000-rows-20-columns.csv
- * @param {string} chartLocation
- *   An element on the page, often a div with an id, where the chart will be
- *   displayed.
- * @param {int} width
- *   Width of the chart.
- * @param {int} height
- *   Height of the chart.
- * @param {int} margin
- *   Margins provides padding around the chart.
+ * @param {object} options
+ *   Chart options normalized by renderChart(), see render-chart.js. The
+ *   source is a location such as data/multivalued-1000-rows-20-columns.csv;
+ *   each of the columns.y columns is summed (or aggregated as set by the
+ *   aggregation option) into one slice.
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
  *
  * See https://d3-graph-gallery.com/graph/shape.html#myline.
  */
-function multipleAmountsPieChart(
-    source,
-    chartLocation,
-    width,
-    height
-) {
+function multipleAmountsPieChart(options) {
+    const chartLocation = options.target;
+    const margin = options.margin;
+    // Size of the area where the pie is drawn, inside the margins.
+    let width = options.size.width - margin.left - margin.right;
+    let height = options.size.height - margin.top - margin.bottom;
+
     // Create the SVG container
     // Select the element where the chart will be appended, and create an SVG element
     const svg = d3.select(chartLocation).append('svg')
         // Set the width of the SVG element
-        .attr('width', width)
+        .attr('width', options.size.width)
         // Set the height of the SVG element
-        .attr('height', height)
+        .attr('height', options.size.height)
         // Append a 'g' (group) element to the SVG. This will be used to group and transform elements within the SVG.
         .append('g')
-        // Apply a transformation to the group element to center it within the SVG
-        .attr('transform', `translate(${width / 2}, ${height / 2})`);
+        // Apply a transformation to the group element to center it within the area inside the margins
+        .attr('transform', `translate(${margin.left + width / 2}, ${margin.top + height / 2})`);
+
+    // Background and font of the theme, see chart-themes.js.
+    applyChartTheme(svg.node().ownerSVGElement, options.theme);
+
+    /*
+        Read and parse the CSV file (see csv-schema.js), which converts the
+        columns to numbers.
+        Extract column names (by default all columns except the first one).
+    */
+    return createChartHandle(options, svg.node().ownerSVGElement, loaded => {
+        /*
+            The parsed CSV file, the rows kept by the filter of the
+            aggregation option, the slices aggregating them, the rings the
+            slices are drawn in (see the negatives option and
+            arrangeSlices()), small slices being grouped into an "Other"
+            slice (see the pie option), and the notice explaining negative
+            values.
+        */
+        let current = loaded;
+        let { rows, pieData, rings, notice } = aggregate(loaded);
+        const setNotice = addChartNotice(chartLocation, svg.node().ownerSVGElement);
+        setNotice(notice);
+        // The slices drawn, in the order of their paths.
+        const shown = () => rings.flat();
+        // Colors of the theme, each column keeping its color when the chart is updated.
+        const color = createColorScale(options.theme, loaded.columns.y);
+        const percent = d3.format('.0%');
+        const method = aggregationMethods[options.aggregation.method];
 
+        /*
+            The label of a slice, from the labelTemplate of the pie option:
+            {label} and {name} are the column of the slice, such as
+            "amount1", or "Other", then {value} and {percent}.
+        */
+        function sliceLabel(d) {
+            const fields = { label: d.category, name: d.category, value: formatAggregate(d.value), percent: percent(share(d)) };
+            return formatSliceLabel(options.pie.labelTemplate || '{name}: {value}', fields);
+        }
+
+        /*
+            Sum (or average, count...) each column over the rows, see
+            aggregation.js, into the data of one slice, {category, value}.
+        */
+        function aggregate(loaded) {
+            // Without groupBy, all the rows form a single group.
+            const { rows, groups: [group] } = aggregateRows(loaded, options.aggregation, null);
 
-    // Read the CSV file.
-    d3.csv(source).then(data => {
-        // Extract column names (all columns except the first one).
-        const columns = Object.keys(data[0]).slice(1);
+            // Convert the aggregated data into a format suitable for D3 pie chart.
+            const pieData = loaded.columns.y.map(key => ({
+                category: key,
+                value: group.values[key]
+            }));
+            const grouped = groupSmallSlices(pieData, d => d.value, options.pie.other,
+                (group, sum) => ({ category: otherSliceLabel, value: sum }));
+            const { rings, notice } = arrangeSlices(grouped, d => d.value, d => d.category, options.negatives.policy);
+            return { rows, pieData, rings, notice };
+        }
 
         /*
-          Parse data: convert strings to numbers.
+            Draw the pie in the current width and height. Responsive charts
+            (see render-chart.js) are drawn again when resized, with a radius
+            fitting the new size, without reloading the CSV file, and every
+            chart when it is updated with new data: the slices then turn to
+            their new angles in transitionDuration milliseconds.
         */
-        data.forEach(d => {
-            columns.forEach(column => d[column] = +d[column]);
+        function draw(transitionDuration = 0) {
+            svg.attr('transform', `translate(${margin.left + width / 2}, ${margin.top + height / 2})`);
+            // The labels and the total are written again.
+            svg.selectAll('.slice-labels, .pie-total').remove();
+
+            // Outside labels (see the pie option) take room around the pie.
+            const radius = pieRadius(width, height, options.pie.labels);
+
+            /*
+                Draw the rings, see drawPieRings(): each slice is sized by
+                the aggregated value of its column, negative values (see the
+                negatives option) by their size, and filled with the color
+                the theme gives the column, whose slice keeps its path when
+                the chart is updated.
+            */
+            const labels = drawPieRings(svg, rings, {
+                value: d => d.value,
+                key: d => d.category,
+                color: d => color(d.category),
+            }, radius, options.pie.donut, transitionDuration)
+                .map(slice => Object.assign(slice, { text: sliceLabel(slice.arc.data) }));
+
+            // Labels of every ring are laid out together, so they don't overlap (see pie-labels.js).
+            drawSliceLabels(svg, labels, options.pie.labels, height, options.theme);
+            if (options.pie.donut > 0) {
+                // The total of the slices drawn, see sumRings().
+                const { total, net } = sumRings(rings, d => d.value);
+                const caption = method === aggregationMethods.sum ? 'total' : `total of the ${method.plural}`;
+                drawPieTotal(svg, total, net ? `net ${caption}` : caption, options.theme);
+            }
+        }
+
+        draw();
+
+        // The CSV download contains the aggregated value of each slice.
+        if (options.export.enabled) {
+            addExportControls(chartLocation, svg.node().ownerSVGElement, options, () => ({
+                columns: ['category', 'value'],
+                rows: pieData,
+            }));
+        }
+
+        /*
+            Accessibility (see chart-accessibility.js): a title and a
+            description of the slices for screen readers, the arrow keys
+            outline the slices one by one, and a button shows the rows of
+            the CSV file as a table.
+        */
+        const chartTitle = () => options.accessibility.title || `Pie chart of the ${method.plural} of ${pieData.map(d => d.category).join(', ')}`;
+        // Slices are described with their share of their ring.
+        function share(d) {
+            return ringShare(rings, d, d => d.value);
+        }
+        function describeSlice(d) {
+            return `${d.category}: ${describeNumber(d.value)} (${percent(share(d))})`;
+        }
+        function describe() {
+            describeChart(svg.node().ownerSVGElement, chartTitle(),
+                `The ${method.plural} over ${rows.length} rows: ${shown().map(describeSlice).join(', ')}.${notice ? ` ${notice}` : ''} ${keyboardHint}`);
+        }
+        describe();
+
+        addKeyboardNavigation(chartLocation, svg.node().ownerSVGElement, {
+            count: () => shown().length,
+            focus(index) {
+                svg.selectAll('.arc path')
+                    .style('stroke', (d, i) => i === index ? options.theme.foreground : null)
+                    .style('stroke-width', (d, i) => i === index ? 2 : null);
+                return describeSlice(shown()[index]);
+            },
+            blur: () => svg.selectAll('.arc path').style('stroke', null).style('stroke-width', null),
         });
 
-        // Aggregate the sums of all keys.
-        const aggregatedData = columns.reduce((acc, key) => {
-            acc[key] = data.reduce((sum, curr) => sum + curr[key], 0);
-            return acc;
-        }, {});
-
-        // Convert the aggregated data into a format suitable for D3 pie chart.
-        const pieData = columns.map(key => ({
-            category: key,
-            value: aggregatedData[key]
-        }));
-
-        const radius = Math.min(width, height) / 2;
-
-        // Create a pie chart layout
-        // The pie function computes the angles for each segment based on the amount values.
-        const pie = d3.pie().value(d => d.value);
-        // Create an arc generator.
-        // The arc function generates the path data for each slice.
-        const arc = d3.arc().outerRadius(radius - 10).innerRadius(0);
-
-        ///// Arc Labels /////
-        // Label positioning
-        const labelArc = d3.arc().outerRadius(radius-12).innerRadius(radius+2);
-
-        // Select all elements with the class 'arc' within the SVG, which
-        // will be used for the pie chart slices.
-        const g = svg.selectAll('.arc')
-            // Bind the data (pieData) to the selection, using the pie layout
-            // function to compute the angles and positions.
-            .data(pie(pieData))
-            // Create a new 'g' (group) element for each data item. This is
-            // where each pie slice will be drawn
-            .enter().append('g')
-            // Assign the class 'arc' to each group element. This allows styling
-            // and manipulation of these elements later.
-            .attr('class', 'arc');
-
-        // Append a 'path' element to each 'g' group element. Each 'path' represents a slice of the pie chart
-        g.append('path')
-            // Set the 'd' attribute of the path to the value computed by the 'arc' function. This defines the shape of the pie slice
-            .attr('d', arc)
-            // Set the fill color of each path. Use a color from the d3.schemeCategory10 palette, which provides a range of colors
-            // The index 'i' corresponds to the position of the current data item in the dataset
-            .style('fill', (d, i) => d3.schemeSet3[i % d3.schemeSet3.length]);
-
-        // Append a 'text' element to each 'g' group element. This will add
-        // labels to each pie slice
-        g.append('text')
-            // Set the 'transform' attribute to position the text. Use the
-            // 'arc.centroid(d)' function to get the coordinates of the center of each slice.
-            .attr('transform', function(d) { return `translate(${labelArc.centroid(d)})`; })
-            // Set the vertical alignment of the text. '.35em' adjusts the position
-            // slightly to center the text vertically within the slice.
-            .attr('dy', '.35em')
-            // Set the text content of the text element. Display the category
-            // and value from the data associated with each slice.
-            .text(d => `${d.data.category}: ${d.data.value}`)
-            // Align the text horizontally to the center. Ensures the text is centered
-            // within the slice.
-            .style('text-anchor', 'end')
-            // Hide text initially.
-            .style('visibility', 'hidden');
-
-            // Added mouse events for interactivity.
-            g.on('mouseover', function(event, d) {
-                d3.select(this).select('text').style('visibility', 'visible');
-            })
-            .on('mouseout', function(event, d) {
-                d3.select(this).select('text').style('visibility', 'hidden');
-            });
-
-    }).catch(error => {
-        console.error('Error loading or parsing data:', error);
-        d3.select(chartLocation).append('p').text('Failed to load data.').style('color', 'red');
+        const dataTable = options.accessibility.table
+            ? addDataTable(chartLocation, () => ({
+                caption: chartTitle(),
+                columns: [current.columns.x].concat(current.columns.y),
+                rows,
+            }))
+            : null;
+
+        return {
+            update(loaded) {
+                current = loaded;
+                ({ rows, pieData, rings, notice } = aggregate(loaded));
+                setNotice(notice);
+                draw(750);
+                describe();
+                if (dataTable) {
+                    dataTable.refresh();
+                }
+            },
+            resize(size) {
+                width = size.width - margin.left - margin.right;
+                height = size.height - margin.top - margin.bottom;
+                d3.select(svg.node().ownerSVGElement)
+                    .attr('width', size.width)
+                    .attr('height', size.height);
+                draw();
+            },
+        };
     });
 }
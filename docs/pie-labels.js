@@ -0,0 +1,191 @@
+/**
+ * Labels of pie charts.
+ *
+ * Slice labels are written from a template naming the columns of the data
+ * (see formatSliceLabel()), and drawn inside the slices or outside the pie,
+ * joined to their slice by a leader line and spread apart so they don't
+ * overlap (see drawSliceLabels()). Donut charts show their total in the
+ * hole (see drawPieTotal()). See the pie option of renderChart().
+ */
+
+/**
+ * Room left on each side of the pie for outside labels, in pixels.
+ */
+const outsideLabelWidth = 120;
+
+/**
+ * Ways of drawing slice labels, see the pie option.
+ */
+const sliceLabelPlacements = ['outside', 'inside', 'none'];
+
+/**
+ * Work out the radius of a pie chart.
+ *
+ * @param {number} width
+ *   Width of the area the chart is drawn in, inside the margins.
+ * @param {number} height
+ *   Height of that area.
+ * @param {string} labels
+ *   Where the labels are drawn, one of sliceLabelPlacements: outside labels
+ *   need room around the pie.
+ *
+ * @return {number}
+ *   The outer radius of the pie, or of its outer ring.
+ */
+function pieRadius(width, height, labels) {
+    if (labels === 'outside') {
+        return Math.max(10, Math.min(width / 2 - outsideLabelWidth, height / 2 - 20));
+    }
+    return Math.max(10, Math.min(width, height) / 2 - 10);
+}
+
+/**
+ * Write the label of a slice.
+ *
+ * @param {string} template
+ *   The label, with placeholders in braces replaced by the fields, such as
+ *   "{week}: {amount} ({percent})". Unknown placeholders are left as they
+ *   are.
+ * @param {object} fields
+ *   The values of the placeholders, by name.
+ *
+ * @return {string}
+ *   The label.
+ */
+function formatSliceLabel(template, fields) {
+    return template.replace(/\{([^{}]+)\}/g, (placeholder, name) => fields.hasOwnProperty(name) ? fields[name] : placeholder);
+}
+
+/**
+ * Spread the labels of one side of a pie apart, in place.
+ *
+ * Labels are pushed down until none overlaps the one above, then, if the
+ * last one went past the bottom, pushed back up.
+ *
+ * @param {object[]} labels
+ *   The labels of one side, each with y, the height of its slice; sorted
+ *   by y.
+ * @param {number} spacing
+ *   Distance between two lines of text.
+ * @param {number} limit
+ *   Labels are kept between -limit and limit.
+ */
+function spreadLabels(labels, spacing, limit) {
+    labels.forEach((label, i) => {
+        if (i > 0) {
+            label.y = Math.max(label.y, labels[i - 1].y + spacing);
+        }
+    });
+    for (let i = labels.length - 1; i >= 0; i--) {
+        const below = i === labels.length - 1 ? limit + spacing : labels[i + 1].y;
+        labels[i].y = Math.max(-limit, Math.min(labels[i].y, below - spacing));
+    }
+}
+
+/**
+ * Draw the labels of the slices of a pie chart.
+ *
+ * @param {object} svg
+ *   The D3 selection of the group the pie is drawn in, centred on the pie.
+ * @param {object[]} slices
+ *   The slices, from every ring: {arc, radii, text}, where arc is what
+ *   d3.pie() returns for the slice, radii the [innerRadius, outerRadius] of
+ *   its ring and text its label.
+ * @param {string} placement
+ *   One of sliceLabelPlacements: "inside" the slices, "outside" the pie
+ *   with leader lines, or "none".
+ * @param {number} height
+ *   Height of the area the chart is drawn in, which outside labels stay in.
+ * @param {object} theme
+ *   The theme, see resolveChartTheme().
+ */
+function drawSliceLabels(svg, slices, placement, height, theme) {
+    const group = svg.append('g')
+        .attr('class', 'slice-labels')
+        .attr('font-size', theme.fontSize + 2)
+        .style('fill', theme.foreground);
+    if (placement === 'none') {
+        return;
+    }
+
+    if (placement === 'inside') {
+        // 30 pixels inside the edge of a pie, or in the middle of a ring.
+        group.selectAll('text')
+            .data(slices)
+            .join('text')
+            .attr('class', 'slice-label')
+            .attr('transform', slice => {
+                const [inner, outer] = slice.radii;
+                const radius = inner === 0 ? outer - 30 : (inner + outer) / 2;
+                return `translate(${d3.arc().innerRadius(radius).outerRadius(radius).centroid(slice.arc)})`;
+            })
+            .attr('dy', '.35em')
+            .style('text-anchor', 'middle')
+            .text(slice => slice.text);
+        return;
+    }
+
+    /*
+        Outside labels are lined up left and right of the pie, level with
+        the middle of their slice, then spread apart; a leader line goes
+        from the edge of the slice out, then to the label.
+    */
+    const outer = d3.max(slices, slice => slice.radii[1]);
+    const spacing = (theme.fontSize + 2) * 1.3;
+    const labels = slices.map(slice => {
+        const angle = (slice.arc.startAngle + slice.arc.endAngle) / 2;
+        const edge = d3.arc().innerRadius(slice.radii[1]).outerRadius(slice.radii[1]).centroid(slice.arc);
+        const elbow = d3.arc().innerRadius(outer + 10).outerRadius(outer + 10).centroid(slice.arc);
+        return { slice, edge, elbow, y: elbow[1], side: angle < Math.PI ? 1 : -1 };
+    });
+    [1, -1].forEach(side => {
+        spreadLabels(d3.sort(labels.filter(label => label.side === side), label => label.y), spacing, height / 2 - spacing / 2);
+    });
+
+    group.selectAll('polyline')
+        .data(labels)
+        .join('polyline')
+        .attr('class', 'leader-line')
+        .attr('points', label => [label.edge, label.elbow, [label.side * (outer + 20), label.y]].join(' '))
+        .style('fill', 'none')
+        .style('stroke', theme.foreground)
+        .style('stroke-opacity', 0.5);
+    group.selectAll('text')
+        .data(labels)
+        .join('text')
+        .attr('class', 'slice-label')
+        .attr('x', label => label.side * (outer + 24))
+        .attr('y', label => label.y)
+        .attr('dy', '.35em')
+        .style('text-anchor', label => label.side === 1 ? 'start' : 'end')
+        .text(label => label.slice.text);
+}
+
+/**
+ * Write the total of a donut chart in its hole.
+ *
+ * @param {object} svg
+ *   The D3 selection of the group the pie is drawn in, centred on the pie.
+ * @param {number} total
+ *   The total.
+ * @param {string} caption
+ *   What the total is, such as "total amount", written under it.
+ * @param {object} theme
+ *   The theme, see resolveChartTheme().
+ */
+function drawPieTotal(svg, total, caption, theme) {
+    const text = svg.append('text')
+        .attr('class', 'pie-total')
+        .style('text-anchor', 'middle')
+        .style('fill', theme.foreground);
+    text.append('tspan')
+        .attr('x', 0)
+        .attr('font-size', (theme.fontSize + 2) * 2)
+        .attr('font-weight', 'bold')
+        .text(formatAggregate(total));
+    text.append('tspan')
+        .attr('x', 0)
+        .attr('dy', '1.5em')
+        .attr('font-size', theme.fontSize + 2)
+        .text(caption);
+}
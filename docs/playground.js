@@ -0,0 +1,322 @@
+/**
+ * A playground to chart any CSV file without editing HTML.
+ *
+ * The visitor drops a file on the page or picks one, checks how its columns
+ * were read in a preview, then chooses the chart type and the columns it
+ * plots; the chart is drawn again with renderChart() after every choice.
+ * The file is read in the browser and never uploaded. See playground.html.
+ */
+
+/**
+ * Rows of the file shown in the preview.
+ */
+const playgroundPreviewRows = 10;
+
+/**
+ * Chart types offered, by renderChart() type, with their name in the menu.
+ */
+const playgroundChartTypes = {
+    'line': 'Line chart',
+    'multi-line': 'Multiple line chart',
+    'pie': 'Pie chart',
+    'aggregated-pie': 'Pie chart of column totals',
+    'bar': 'Bar chart',
+    'stacked-area': 'Stacked area chart',
+    'heatmap': 'Heatmap',
+};
+
+/**
+ * Choose the columns of a chart type, keeping the previous choices which
+ * still apply.
+ *
+ * Line, stacked area and heatmap charts default to the first number or
+ * date column on the x axis, pie and bar charts to the first text column
+ * for slice labels or groups of bars; the value columns are the number
+ * columns.
+ *
+ * @param {string} type
+ *   A key of playgroundChartTypes.
+ * @param {object[]} schema
+ *   The columns of the file, as returned by inferSchema().
+ * @param {object} previous
+ *   The previous choices, {x, y, category}, or {} for a new file.
+ *
+ * @return {object}
+ *   {x, y, category}: y is a column name for "single" chart types and an
+ *   array of column names for "multiple" chart types; category is the
+ *   column pie slices or bars are grouped by, or null.
+ */
+function choosePlaygroundColumns(type, schema, previous) {
+    const names = schema.map(column => column.name);
+    const has = name => names.includes(name);
+    const ofType = types => schema.filter(column => types.includes(column.type)).map(column => column.name);
+
+    const xTypes = chartTypes[type].x === 'axis' ? ['number', 'date'] : ['text', 'date', 'number'];
+    const x = has(previous.x) ? previous.x : ofType(xTypes)[0] || names[0];
+    const numbers = ofType(['number']).filter(name => name !== x);
+    const kept = [].concat(previous.y || []).filter(name => has(name) && name !== x);
+
+    let y;
+    if (chartTypes[type].columns === 'single') {
+        y = kept[0] || numbers[0] || names.find(name => name !== x);
+    }
+    else {
+        y = kept.length > 1 || (kept.length === 1 && Array.isArray(previous.y)) ? kept : numbers;
+    }
+    const category = ['pie', 'bar'].includes(type) && has(previous.category) ? previous.category : null;
+
+    return { x, y, category };
+}
+
+/**
+ * Build the renderChart() options of the playground's chart.
+ *
+ * @param {object} state
+ *   The playground state: {file, type, columns, method}, see
+ *   createPlayground().
+ * @param {Element} target
+ *   Where the chart is displayed.
+ *
+ * @return {object}
+ *   The options.
+ */
+function playgroundChartOptions(state, target) {
+    const options = {
+        type: state.type,
+        source: state.file,
+        target,
+        columns: { x: state.columns.x, y: state.columns.y },
+        size: { width: 800, height: 400 },
+        export: { enabled: true },
+        responsive: { enabled: true },
+    };
+    if (chartTypes[state.type].x !== 'axis') {
+        options.aggregation = { groupBy: state.columns.category, method: state.method };
+        // The visitor's data may well have negative values; show them rather than leave them out.
+        options.negatives = { policy: 'split' };
+    }
+    return options;
+}
+
+/**
+ * Show the columns and first rows of a file.
+ *
+ * @param {object} container
+ *   The D3 selection of the element where the preview is displayed.
+ * @param {object[]} data
+ *   The rows of the file, with columns.
+ * @param {object[]} schema
+ *   The columns of the file, as returned by inferSchema().
+ */
+function showPlaygroundPreview(container, data, schema) {
+    container.selectAll('*').remove();
+    container.append('p')
+        .text(`${data.length} rows. ${schema.map(column => `${column.name}: ${column.type}`
+            + (column.empty > 0 ? ` (${column.empty} empty)` : '')).join(', ')}.`);
+
+    const table = container.append('table');
+    table.append('caption').text(`First ${Math.min(playgroundPreviewRows, data.length)} rows`);
+    table.append('thead').append('tr')
+        .selectAll('th')
+        .data(data.columns)
+        .join('th')
+        .attr('scope', 'col')
+        .text(column => column);
+    table.append('tbody')
+        .selectAll('tr')
+        .data(data.slice(0, playgroundPreviewRows))
+        .join('tr')
+        .selectAll('td')
+        .data(row => data.columns.map(column => row[column]))
+        .join('td')
+        .text(value => value);
+}
+
+/**
+ * Add a labelled menu to the playground's controls.
+ *
+ * @param {object} container
+ *   The D3 selection of the controls.
+ * @param {string} label
+ *   The label of the menu.
+ * @param {object[]} choices
+ *   The choices, as {value, text}.
+ * @param {string|null} selected
+ *   The value of the selected choice.
+ * @param {function} onChange
+ *   Called with the value chosen; null is passed as the empty string.
+ */
+function addPlaygroundMenu(container, label, choices, selected, onChange) {
+    const select = container.append('label')
+        .text(`${label} `)
+        .append('select')
+        .on('change', event => onChange(event.target.value === '' ? null : event.target.value));
+    select.selectAll('option')
+        .data(choices)
+        .join('option')
+        .attr('value', choice => choice.value === null ? '' : choice.value)
+        .property('selected', choice => choice.value === selected)
+        .text(choice => choice.text);
+}
+
+/**
+ * Create the playground.
+ *
+ * @param {string|Element} target
+ *   Selector or element where the playground is displayed.
+ *
+ * @return {object}
+ *   {open(file)}: open(file) displays a File or Blob as if it were dropped.
+ */
+function createPlayground(target) {
+    const container = d3.select(target);
+    const state = { file: null, data: null, schema: null, type: 'line', columns: {}, method: 'sum', chart: null };
+
+    const dropZone = container.append('div')
+        .attr('class', 'playground-drop-zone');
+    dropZone.append('p')
+        .text('Drop a CSV, TSV or JSON file here, or ');
+    dropZone.select('p').append('input')
+        .attr('type', 'file')
+        .attr('accept', '.csv,.tsv,.txt,.json')
+        .attr('aria-label', 'Choose a file')
+        .on('change', event => {
+            if (event.target.files.length > 0) {
+                open(event.target.files[0]);
+            }
+        });
+    const preview = container.append('div')
+        .attr('class', 'playground-preview');
+    const controls = container.append('form')
+        .attr('class', 'playground-controls')
+        .on('submit', event => event.preventDefault());
+    const chartLocation = container.append('div')
+        .attr('class', 'playground-chart chart-enclosure')
+        .node();
+
+    // Without preventDefault() on dragover, the browser opens the dropped file instead.
+    dropZone
+        .on('dragover', event => {
+            event.preventDefault();
+            dropZone.classed('dragging', true);
+        })
+        .on('dragleave', () => dropZone.classed('dragging', false))
+        .on('drop', event => {
+            event.preventDefault();
+            dropZone.classed('dragging', false);
+            if (event.dataTransfer.files.length > 0) {
+                open(event.dataTransfer.files[0]);
+            }
+        });
+
+    function draw() {
+        if (state.chart) {
+            state.chart.destroy();
+            state.chart = null;
+        }
+        // Error panels and hints of the previous chart.
+        d3.select(chartLocation).selectAll('*').remove();
+
+        if ([].concat(state.columns.y).length === 0) {
+            d3.select(chartLocation).append('p').text('Choose at least one value column.');
+            return;
+        }
+        state.chart = renderChart(playgroundChartOptions(state, chartLocation));
+    }
+
+    function showControls() {
+        const columnChoices = state.schema.map(column => ({ value: column.name, text: `${column.name} (${column.type})` }));
+        const chartType = chartTypes[state.type];
+        controls.selectAll('*').remove();
+
+        addPlaygroundMenu(controls, 'Chart', Object.keys(playgroundChartTypes)
+            .map(type => ({ value: type, text: playgroundChartTypes[type] })), state.type, type => {
+            state.type = type;
+            state.columns = choosePlaygroundColumns(type, state.schema, state.columns);
+            update();
+        });
+        if (chartType.x !== 'none') {
+            const xLabel = chartType.x === 'axis' ? 'x axis' : state.type === 'bar' ? 'Groups of bars' : 'Slice labels';
+            addPlaygroundMenu(controls, xLabel, columnChoices, state.columns.x, x => {
+                state.columns = choosePlaygroundColumns(state.type, state.schema, Object.assign({}, state.columns, { x }));
+                update();
+            });
+        }
+
+        if (chartType.columns === 'single') {
+            addPlaygroundMenu(controls, 'Values', columnChoices.filter(choice => choice.value !== state.columns.x), state.columns.y, y => {
+                state.columns.y = y;
+                update();
+            });
+        }
+        else {
+            const fieldset = controls.append('fieldset');
+            fieldset.append('legend').text('Values');
+            fieldset.selectAll('label')
+                .data(columnChoices.filter(choice => choice.value !== state.columns.x))
+                .join('label')
+                .each(function(choice) {
+                    d3.select(this).append('input')
+                        .attr('type', 'checkbox')
+                        .property('checked', state.columns.y.includes(choice.value))
+                        .on('change', event => {
+                            state.columns.y = event.target.checked
+                                ? state.columns.y.concat(choice.value)
+                                : state.columns.y.filter(name => name !== choice.value);
+                            // Keep the order of the file's columns.
+                            state.columns.y = state.schema.map(column => column.name).filter(name => state.columns.y.includes(name));
+                            update();
+                        });
+                    d3.select(this).append('span').text(` ${choice.text} `);
+                });
+        }
+
+        if (['pie', 'bar'].includes(state.type)) {
+            const perRow = state.type === 'pie' ? 'Nothing, a slice per row' : 'Nothing, a group of bars per row';
+            addPlaygroundMenu(controls, 'Group rows by', [{ value: null, text: perRow }].concat(columnChoices),
+                state.columns.category, category => {
+                    state.columns.category = category;
+                    update();
+                });
+        }
+        if (state.type === 'aggregated-pie' || state.columns.category) {
+            addPlaygroundMenu(controls, 'Combine values with', Object.keys(aggregationMethods)
+                .map(method => ({ value: method, text: method })), state.method, method => {
+                state.method = method;
+                update();
+            });
+        }
+    }
+
+    function update() {
+        showControls();
+        draw();
+    }
+
+    function open(file) {
+        state.file = file;
+        return readChartSource(file, chartDefaults.input)
+            .then(({ data }) => {
+                state.data = data;
+                state.schema = inferSchema(data, data.columns, dateFormats);
+                // Charts need two columns; say so rather than offer empty menus.
+                resolveColumns({ type: state.type, columns: {} }, data.columns, file.name || 'the file');
+                state.columns = choosePlaygroundColumns(state.type, state.schema, {});
+                showPlaygroundPreview(preview, data, state.schema);
+                update();
+            })
+            .catch(error => {
+                state.data = null;
+                if (state.chart) {
+                    state.chart.destroy();
+                    state.chart = null;
+                }
+                controls.selectAll('*').remove();
+                d3.select(chartLocation).selectAll('*').remove();
+                preview.selectAll('*').remove();
+                showChartError(preview.node(), error);
+            });
+    }
+
+    return { open };
+}
@@ -0,0 +1,1095 @@
+/**
+ * Chart types which can be displayed by renderChart().
+ *
+ * Each chart type maps to the name of the function which draws it, to the
+ * kind of value columns it expects:
+ *   - "single" charts plot one value column (columns.y is a string).
+ *   - "multiple" charts plot several value columns (columns.y is an array).
+ * and to the role of its x column:
+ *   - "axis": numbers or dates placed on an x axis, see parseXColumn().
+ *   - "label": text used to name slices.
+ *   - "none": not displayed.
+ * requires lists, by function name, the shared scripts the chart type uses
+ * besides render-chart.js, csv-schema.js, chart-accessibility.js and
+ * chart-themes.js.
+ *
+ * The functions are looked up by name when the chart is rendered, so a page
+ * only needs to include the script of the chart types it actually uses.
+ */
+const chartTypes = {
+    'line': {
+        chart: 'simpleLineChart', columns: 'single', x: 'axis',
+        requires: { parseXColumn: 'date-columns.js' },
+    },
+    'multi-line': {
+        chart: 'multipleLineChart', columns: 'multiple', x: 'axis',
+        requires: { parseXColumn: 'date-columns.js', largestTriangleThreeBuckets: 'performance.js' },
+    },
+    'pie': {
+        chart: 'simplePieChart', columns: 'single', x: 'label',
+        requires: { aggregateRows: 'aggregation.js', drawSliceLabels: 'pie-labels.js' },
+    },
+    'aggregated-pie': {
+        chart: 'multipleAmountsPieChart', columns: 'multiple', x: 'none',
+        requires: { aggregateRows: 'aggregation.js', drawSliceLabels: 'pie-labels.js' },
+    },
+    'bar': {
+        chart: 'barChart', columns: 'multiple', x: 'label',
+        requires: { aggregateRows: 'aggregation.js' },
+    },
+    'stacked-area': {
+        chart: 'stackedAreaChart', columns: 'multiple', x: 'axis',
+        requires: { parseXColumn: 'date-columns.js' },
+    },
+    'heatmap': {
+        chart: 'heatmapChart', columns: 'multiple', x: 'axis',
+        requires: { parseXColumn: 'date-columns.js' },
+    },
+};
+
+/**
+ * Defaults shared by all chart types.
+ *
+ * Margins provide padding around the chart, ensuring that axis labels and
+ * titles are not crowded or clipped. The size is the total size of the SVG,
+ * margins included, so the area where the chart itself is drawn is
+ * size.width - margin.left - margin.right wide, and
+ * size.height - margin.top - margin.bottom high.
+ */
+const chartDefaults = {
+    columns: {},
+    size: { width: 800, height: 400 },
+    margin: { top: 20, right: 20, bottom: 30, left: 50 },
+    axes: { x: true, y: true },
+    dates: { x: 'auto', formats: null, tickFormat: null },
+    performance: { mode: 'auto', threshold: 10000, maxPoints: null, canvasThreshold: 200000 },
+    zoom: { enabled: false, context: false, contextHeight: 60 },
+    yAxes: { right: [], auto: false },
+    annotations: { items: [], source: null },
+    overlays: { rolling: null, window: 7, band: null, trend: false, markers: [], series: null },
+    export: { enabled: false, formats: ['svg', 'png', 'csv'], scale: 2, filename: null },
+    responsive: { enabled: false, keepAspectRatio: false },
+    legend: { target: null },
+    refresh: { interval: null },
+    accessibility: { title: null, table: true },
+    theme: { name: 'light', colors: {} },
+    aggregation: { groupBy: null, method: 'sum', filter: null },
+    negatives: { policy: 'drop' },
+    input: { format: 'auto', delimiter: null, decimal: null, thousands: null },
+    urlState: { enabled: false, key: null },
+    pie: { donut: 0, other: 0, labels: 'outside', labelTemplate: null },
+    bars: { layout: 'grouped', orientation: 'vertical' },
+    areas: { offset: 'stacked' },
+    heatmap: { scale: 'auto', sortX: 'name', sortY: 'file' },
+};
+
+/**
+ * Narrowest area, inside the margins, a responsive chart is drawn in.
+ */
+const minimumResponsiveWidth = 100;
+
+/**
+ * Number of ids handed out by uniqueChartId().
+ */
+let chartIdCount = 0;
+
+/**
+ * Display a chart.
+ *
+ * @param {object} options
+ *   The chart options:
+ *   - type: one of the keys of chartTypes, such as "line" or "multi-line".
+ *   - source: a location such as data/simple-line-chart.csv, the text of
+ *     a file (any string with a line break), a File or Blob such as a file
+ *     dropped on the page, or an array of rows such as
+ *     [{week: 1, amount: 40}]. See readChartSource() in data-sources.js.
+ *   - target: an element on the page, often a div with an id, where the
+ *     chart will be displayed; a selector string or a reference to an
+ *     existing HTML element.
+ *   - columns: optional {x, y}. x is the column used for the x axis (or the
+ *     slice labels of a pie chart, or the groups of a bar chart), y the
+ *     value column (or, for charts with multiple values, an array of value
+ *     columns). By default x is the first column of the CSV file and y the
+ *     column(s) after it.
+ *   - size: optional {width, height}, the total size of the SVG.
+ *   - margin: optional {top, right, bottom, left}.
+ *   - axes: optional {x, y}; if false the corresponding axis is not
+ *     displayed. Pie charts have no axes and ignore this.
+ *   - dates: optional {x, formats, tickFormat}, line, stacked area and
+ *     heatmap charts only. x is "auto" (the default) to display the x
+ *     column on a time axis when its values are dates such as 2024-03-01
+ *     or 2024-W10, true to require dates, or false to always treat it as
+ *     numbers. formats is a d3.timeParse() specifier or an array of them
+ *     (by default dateFormats, see date-columns.js) and tickFormat a
+ *     d3.timeFormat() specifier for the axis labels. Requires
+ *     date-columns.js on the page.
+ *   - performance: optional {mode, threshold, maxPoints, canvasThreshold},
+ *     multi-line charts only. In performance mode each line is downsampled
+ *     to maxPoints points (by default one per pixel of width) and drawn
+ *     without animations; past canvasThreshold points (rows × columns)
+ *     lines are drawn on a canvas instead of SVG paths.
+ *     mode is "auto" (the default) to switch to performance mode past
+ *     threshold points, or true or false. Requires performance.js.
+ *   - zoom: optional {enabled, context, contextHeight}, multi-line charts
+ *     only. If enabled the x axis can be zoomed with the mouse wheel and
+ *     panned by dragging, with a button to reset it. If context is also true
+ *     an overview strip contextHeight pixels high is displayed under the
+ *     chart, with a brush to select the visible window.
+ *   - yAxes: optional {right, auto}, multi-line charts only. Columns listed
+ *     in right are drawn on a second y axis, on the right of the chart,
+ *     whose scale fits them only; if right is empty and auto is true, the
+ *     columns at least 10 times smaller than the largest are. Each axis
+ *     fits the lines selected on it, and with both axes in use each has a
+ *     title naming its columns. Leave room for the right axis with
+ *     margin.right, about 60 pixels.
+ *   - annotations: optional {items, source}, line charts only: reference
+ *     lines, shaded bands and labelled markers drawn over the chart, which
+ *     follow its scales. items lists them inline and source is a CSV file
+ *     of more (any kind of source, like the source option), with a column
+ *     per field. Each annotation has a type, "line" (at x, or at y),
+ *     "band" (from x to x2, or from y to y2) or "marker" (at x and y), and
+ *     optionally a label, an axis ("left" or "right", see yAxes) and a
+ *     color. x values are written like those of the x column, such as
+ *     2024-03-01, or as dates and numbers. Requires annotations.js.
+ *   - overlays: optional {rolling, window, band, trend, markers, series},
+ *     line charts only: statistics drawn over each series. rolling is
+ *     "mean" or "median" for a rolling statistic over window rows (7 by
+ *     default), band is [low, high] percentiles such as [10, 90] for a band
+ *     between them over the same window, trend true for a least-squares
+ *     trend line whose slope is written in the legend, and markers lists
+ *     "min", "max" and "last" to mark those values. A checkbox by each
+ *     series shows or hides its statistics; series lists those shown at
+ *     first, or null (the default) for all. Statistics of hidden lines
+ *     aren't drawn. Requires overlays.js.
+ *   - export: optional {enabled, formats, scale, filename}. If enabled,
+ *     buttons under the chart download it as a standalone SVG file, a PNG
+ *     image scale times the size of the chart, or a CSV file of the data
+ *     currently displayed; formats lists the buttons, by default
+ *     ["svg", "png", "csv"]. Files are named after the CSV file unless
+ *     filename is set. Requires chart-export.js.
+ *   - responsive: optional {enabled, keepAspectRatio}. If enabled the chart
+ *     is as wide as the target element and is laid out again, without
+ *     reloading the CSV file, whenever the target is resized. Its height is
+ *     size.height or, if keepAspectRatio is true, in the proportions of size.
+ *   - legend: optional {target}, a selector string or an element where the
+ *     checkboxes of a multi-line, bar or stacked area chart, the menus of
+ *     a heatmap or the legend of a pie chart are displayed. By default they are displayed above the chart, in target.
+ *   - refresh: optional {interval}. If set, the source is loaded again every
+ *     interval milliseconds and the chart animates to the new values.
+ *   - accessibility: optional {title, table}. Every chart has a title and a
+ *     description of its data for screen readers, and can be read with the
+ *     arrow keys once focused; title replaces the generated title, such as
+ *     "Line chart of amount by week". If table is true (the default) a
+ *     button under the chart shows its data as an HTML table. Requires
+ *     chart-accessibility.js.
+ *   - theme: optional {name, colors}, the colours and fonts of the chart.
+ *     name is "light" (the default), "dark", "colorblind" (a palette told
+ *     apart with colour blindness) or "auto" (dark if the visitor's system
+ *     prefers it); see chartThemes in chart-themes.js. colors gives columns
+ *     (or the slice labels of a pie chart) their own colour, such as
+ *     {amount1: '#d62728'}; the others take the colours of the palette in
+ *     turn, and keep them when lines are hidden or the data is updated.
+ *     Any other property of the themes, such as palette or background,
+ *     overrides the theme's. Requires chart-themes.js.
+ *   - aggregation: optional {groupBy, method, filter}, pie and bar charts
+ *     only. Before the pie or the bars are laid out, the rows are filtered,
+ *     grouped and each group reduced to one value per value column by
+ *     method: "sum" (the default), "mean", "median", "count", "min" or
+ *     "max". A pie chart has a slice, and a bar chart a group of bars, per
+ *     value of the groupBy column, by default its x column; an
+ *     aggregated-pie chart has a slice per value column, over all the rows,
+ *     and no groupBy. filter is {column, from, to} to only keep the rows
+ *     whose column (by default the x column) is between from and to,
+ *     inclusive, such as {from: 10, to: 20} for weeks 10 to 20; either
+ *     bound may be left out. Requires aggregation.js.
+ *   - negatives: optional {policy}, pie charts only: how slices with
+ *     negative values, which a pie can't show, are drawn. "drop" (the
+ *     default) leaves them out, "absolute" sizes every slice by its absolute
+ *     value and "split" draws them as a ring around the pie of positive
+ *     values. A notice above the chart names the negative values and
+ *     suggests a diverging bar chart instead. See arrangeSlices() in
+ *     aggregation.js.
+ *   - input: optional {format, delimiter, decimal, thousands}, how files and
+ *     text are read. format is "auto" (the default: JSON for .json files
+ *     and text starting with [ or {, CSV otherwise), "csv" or "json", an
+ *     array of rows. delimiter separates CSV values; by default it is found
+ *     in the header row among commas, semicolons and tabs. decimal is the
+ *     decimal separator of numbers, "." or ","; by default "," if values
+ *     are separated by semicolons, as in much of Europe. thousands is the
+ *     thousands separator, such as "." for 1.234,5, by default none.
+ *     Requires data-sources.js.
+ *   - pie: optional {donut, other, labels, labelTemplate}, pie charts only.
+ *     donut is the radius of the hole in the middle, as a share of the
+ *     radius, such as 0.5, where the total of the slices drawn is written
+ *     (net of the negative ones, see negatives); 0 (the default) draws a
+ *     pie. Slices smaller than other, a share of the total such as
+ *     0.03 for 3%, are grouped into an "Other" slice; 0 (the default) keeps
+ *     every slice. labels is "outside" (the default: around the pie, with
+ *     leader lines, spread so they don't overlap), "inside" or "none".
+ *     labelTemplate writes the labels, and the legend: placeholders in
+ *     braces are replaced by the label column (such as {week}) and the value
+ *     column (such as {amount}) of the slice, {label} and {value} whatever
+ *     the columns, {name} such as "week 3" and {percent}. By default
+ *     "{name}: {value}". Requires pie-labels.js.
+ *   - bars: optional {layout, orientation}, bar charts only. layout is
+ *     "grouped" (the default: the bars of a group side by side),
+ *     "stacked" (on top of each other, for values which aren't negative)
+ *     or "diverging" (positive values stacked up from zero and negative
+ *     values down); orientation is "vertical" (the default) or
+ *     "horizontal". Each value column has a checkbox to show or hide its
+ *     bars.
+ *   - areas: optional {offset}, stacked area charts only: how the areas
+ *     of the value columns are stacked. "stacked" (the default) from zero,
+ *     the top edge being the total, "normalized" to 100% of the total, or
+ *     "streamgraph" around a wiggling baseline, without y axis, or
+ *     "diverging" (positive values stacked up from zero and negative
+ *     values down). Only diverging areas can show negative values. Each
+ *     value column has a checkbox to show or hide its area, the others
+ *     being stacked again in its place.
+ *   - heatmap: optional {scale, sortX, sortY}, heatmaps only. scale is the
+ *     colour scale of the cells: "sequential" from the lowest value to the
+ *     highest, "diverging" centred on zero, or "auto" (the default),
+ *     diverging if any value is negative. sortX orders the rows of the
+ *     file along the x axis and sortY the value columns down the y axis:
+ *     "file" (as in the file), "name" (by x value, or by column name),
+ *     "total" or "variance" (highest first). By default rows are sorted by
+ *     x and columns kept in the order of the file; menus above the chart
+ *     sort them again. Leave room for the column names with margin.left.
+ *   - urlState: optional {enabled, key}. If enabled the view of the chart
+ *     (the lines selected and the zoomed x range of a multi-line chart) and
+ *     its settings (type, theme name, aggregation method and groupBy) are
+ *     kept in the hash of the page's URL, so the URL can be shared or
+ *     bookmarked, and the browser's back and forward buttons go through
+ *     the views. key names the chart in the URL, by default the id of
+ *     target. Settings in the URL replace those of the options, unless
+ *     invalid. Requires url-state.js; see createUrlStateChart().
+ *
+ * Each chart keeps its controls, legend and tooltip in its own elements, so
+ * several charts can be displayed on the same page.
+ *
+ * Invalid options are reported in the console and in the target element
+ * rather than producing a blank chart.
+ *
+ * Example:
+ *
+ *   renderChart({
+ *     type: 'line',
+ *     source: 'data/simple-line-chart.csv',
+ *     target: '#chart-goes-here',
+ *     columns: { x: 'week', y: 'amount' },
+ *   });
+ *
+ * @return {object|null}
+ *   The chart handle (see createChartHandle()) to update or remove the
+ *   chart, or null if the options are invalid.
+ */
+function renderChart(options) {
+    const errors = validateChartOptions(options);
+
+    if (errors.length > 0) {
+        const target = options && options.target;
+        const message = `Invalid chart options: ${errors.join(' ')}`;
+        console.error(message, options);
+        if (target && !d3.select(target).empty()) {
+            showChartError(target, message);
+        }
+        return null;
+    }
+
+    if (options.urlState && options.urlState.enabled) {
+        return createUrlStateChart(options, drawChart);
+    }
+    return drawChart(options);
+}
+
+/**
+ * Draw a chart with valid options.
+ *
+ * @param {object} options
+ *   Options as passed to renderChart(), already validated.
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
+ */
+function drawChart(options) {
+    const normalized = normalizeChartOptions(options);
+    normalized.size = chartSize(normalized.target, normalized);
+    normalized.theme = resolveChartTheme(normalized.theme);
+    return window[chartTypes[normalized.type].chart](normalized);
+}
+
+/**
+ * Merge the options with chartDefaults.
+ *
+ * Nested objects (size, margin, axes, columns) are merged key by key so a
+ * page can, for example, only override margin.left.
+ *
+ * @param {object} options
+ *   Options as passed to renderChart().
+ *
+ * @return {object}
+ *   A new object with every option set.
+ */
+function normalizeChartOptions(options) {
+    const normalized = Object.assign({}, chartDefaults, options);
+
+    Object.keys(chartDefaults).forEach(key => {
+        if (typeof chartDefaults[key] === 'object') {
+            normalized[key] = Object.assign({}, chartDefaults[key], options[key]);
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Check chart options before anything is drawn.
+ *
+ * @param {object} options
+ *   Options as passed to renderChart().
+ *
+ * @return {string[]}
+ *   A list of human-readable problems, empty if the options are valid.
+ */
+function validateChartOptions(options) {
+    if (!options || typeof options !== 'object') {
+        return ['renderChart() expects an options object.'];
+    }
+
+    const errors = [];
+    const knownKeys = ['type', 'source', 'target'].concat(Object.keys(chartDefaults));
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+
+    // Catch typos such as "colums" which would otherwise be silently ignored.
+    Object.keys(options)
+        .filter(key => !knownKeys.includes(key))
+        .forEach(key => errors.push(`Unknown option "${key}".`));
+
+    if (!chartTypes.hasOwnProperty(options.type)) {
+        errors.push(`type must be one of ${Object.keys(chartTypes).join(', ')}.`);
+    }
+    else {
+        const type = chartTypes[options.type];
+        if (typeof window[type.chart] !== 'function') {
+            errors.push(`${type.chart}() is not loaded, add its script to the page.`);
+        }
+        Object.keys(type.requires)
+            .filter(name => typeof window[name] !== 'function')
+            .forEach(name => errors.push(`${type.requires[name]} is not loaded, add its script to the page.`));
+    }
+
+    const isBlob = typeof Blob !== 'undefined' && options.source instanceof Blob;
+    if (!(typeof options.source === 'string' && options.source !== '') && !isBlob && !Array.isArray(options.source)) {
+        errors.push('source must be the location of a CSV file, its text, a File or Blob, or an array of rows.');
+    }
+
+    if (typeof options.target !== 'string' && !(options.target instanceof Element)) {
+        errors.push('target must be a selector string or an HTML element.');
+    }
+    else if (d3.select(options.target).empty()) {
+        errors.push(`target "${options.target}" does not match any element on the page.`);
+    }
+
+    const columns = options.columns || {};
+    if (columns.x !== undefined && typeof columns.x !== 'string') {
+        errors.push('columns.x must be a column name.');
+    }
+    if (columns.y !== undefined && chartTypes.hasOwnProperty(options.type)) {
+        if (chartTypes[options.type].columns === 'single' && typeof columns.y !== 'string') {
+            errors.push(`columns.y must be a column name for ${options.type} charts.`);
+        }
+        if (chartTypes[options.type].columns === 'multiple'
+            && !(Array.isArray(columns.y) && columns.y.every(column => typeof column === 'string'))) {
+            errors.push(`columns.y must be an array of column names for ${options.type} charts.`);
+        }
+    }
+
+    const size = Object.assign({}, chartDefaults.size, options.size);
+    const margin = Object.assign({}, chartDefaults.margin, options.margin);
+    if (!['width', 'height'].every(key => isNumber(size[key]) && size[key] > 0)) {
+        errors.push('size.width and size.height must be positive numbers.');
+    }
+    if (!['top', 'right', 'bottom', 'left'].every(key => isNumber(margin[key]) && margin[key] >= 0)) {
+        errors.push('margin.top, margin.right, margin.bottom and margin.left must be numbers of 0 or more.');
+    }
+    else if (size.width - margin.left - margin.right <= 0 || size.height - margin.top - margin.bottom <= 0) {
+        errors.push('The margins leave no room for the chart, increase size or reduce margin.');
+    }
+
+    const axes = Object.assign({}, chartDefaults.axes, options.axes);
+    if (typeof axes.x !== 'boolean' || typeof axes.y !== 'boolean') {
+        errors.push('axes.x and axes.y must be true or false.');
+    }
+
+    const dates = Object.assign({}, chartDefaults.dates, options.dates);
+    if (![true, false, 'auto'].includes(dates.x)) {
+        errors.push('dates.x must be "auto", true or false.');
+    }
+    if (dates.formats !== null && ![].concat(dates.formats).every(format => typeof format === 'string')) {
+        errors.push('dates.formats must be a d3.timeParse() specifier or an array of them.');
+    }
+    if (dates.tickFormat !== null && typeof dates.tickFormat !== 'string') {
+        errors.push('dates.tickFormat must be a d3.timeFormat() specifier.');
+    }
+    if (typeof loadChartData !== 'function') {
+        errors.push('csv-schema.js is not loaded, add its script to the page.');
+    }
+    if (typeof readChartSource !== 'function') {
+        errors.push('data-sources.js is not loaded, add its script to the page.');
+    }
+    const input = Object.assign({}, chartDefaults.input, options.input);
+    const isSeparator = value => value === null || (typeof value === 'string' && value.length === 1);
+    if (!['auto', 'csv', 'json'].includes(input.format)) {
+        errors.push('input.format must be "auto", "csv" or "json".');
+    }
+    if (!isSeparator(input.delimiter)) {
+        errors.push('input.delimiter must be null or a single character, such as ";".');
+    }
+    if (![null, '.', ','].includes(input.decimal)) {
+        errors.push('input.decimal must be null, "." or ",".');
+    }
+    if (!isSeparator(input.thousands) || (input.thousands !== null && input.thousands === input.decimal)) {
+        errors.push('input.thousands must be null or a single character other than the decimal separator.');
+    }
+    if (typeof describeChart !== 'function') {
+        errors.push('chart-accessibility.js is not loaded, add its script to the page.');
+    }
+
+    const performance = Object.assign({}, chartDefaults.performance, options.performance);
+    if (![true, false, 'auto'].includes(performance.mode)) {
+        errors.push('performance.mode must be "auto", true or false.');
+    }
+    if (![performance.threshold, performance.canvasThreshold].every(value => isNumber(value) && value >= 0)) {
+        errors.push('performance.threshold and performance.canvasThreshold must be numbers of 0 or more.');
+    }
+    if (performance.maxPoints !== null && !(Number.isInteger(performance.maxPoints) && performance.maxPoints >= 3)) {
+        errors.push('performance.maxPoints must be null or a whole number of at least 3.');
+    }
+
+    const zoom = Object.assign({}, chartDefaults.zoom, options.zoom);
+    if (typeof zoom.enabled !== 'boolean' || typeof zoom.context !== 'boolean') {
+        errors.push('zoom.enabled and zoom.context must be true or false.');
+    }
+    if (!isNumber(zoom.contextHeight) || zoom.contextHeight <= 0) {
+        errors.push('zoom.contextHeight must be a positive number.');
+    }
+    else if (zoom.context && size.height - margin.top - 2 * margin.bottom - zoom.contextHeight <= 0) {
+        errors.push('zoom.contextHeight leaves no room for the chart, increase size.height.');
+    }
+
+    const yAxes = Object.assign({}, chartDefaults.yAxes, options.yAxes);
+    if (!Array.isArray(yAxes.right) || !yAxes.right.every(column => typeof column === 'string')) {
+        errors.push('yAxes.right must be an array of column names.');
+    }
+    else if (Array.isArray(columns.y) && yAxes.right.some(column => !columns.y.includes(column))) {
+        errors.push('yAxes.right must only list columns of columns.y.');
+    }
+    if (typeof yAxes.auto !== 'boolean') {
+        errors.push('yAxes.auto must be true or false.');
+    }
+
+    const exportOptions = Object.assign({}, chartDefaults.export, options.export);
+    if (typeof exportOptions.enabled !== 'boolean') {
+        errors.push('export.enabled must be true or false.');
+    }
+    else if (exportOptions.enabled && typeof addExportControls !== 'function') {
+        errors.push('chart-export.js is not loaded, add its script to the page.');
+    }
+    if (!Array.isArray(exportOptions.formats) || !exportOptions.formats.every(format => ['svg', 'png', 'csv'].includes(format))) {
+        errors.push('export.formats must be an array of "svg", "png" and "csv".');
+    }
+    if (!isNumber(exportOptions.scale) || exportOptions.scale <= 0) {
+        errors.push('export.scale must be a positive number.');
+    }
+    if (exportOptions.filename !== null && typeof exportOptions.filename !== 'string') {
+        errors.push('export.filename must be a file name without extension.');
+    }
+
+    const responsive = Object.assign({}, chartDefaults.responsive, options.responsive);
+    if (typeof responsive.enabled !== 'boolean' || typeof responsive.keepAspectRatio !== 'boolean') {
+        errors.push('responsive.enabled and responsive.keepAspectRatio must be true or false.');
+    }
+
+    const legend = Object.assign({}, chartDefaults.legend, options.legend);
+    if (legend.target !== null && typeof legend.target !== 'string' && !(legend.target instanceof Element)) {
+        errors.push('legend.target must be null, a selector string or an HTML element.');
+    }
+    else if (legend.target !== null && d3.select(legend.target).empty()) {
+        errors.push(`legend.target "${legend.target}" does not match any element on the page.`);
+    }
+
+    const refresh = Object.assign({}, chartDefaults.refresh, options.refresh);
+    if (refresh.interval !== null && !(isNumber(refresh.interval) && refresh.interval > 0)) {
+        errors.push('refresh.interval must be null or a positive number of milliseconds.');
+    }
+    else if (refresh.interval !== null && typeof isSourceLocation === 'function' && !isSourceLocation(options.source)) {
+        errors.push('refresh.interval needs the location of a file as source, to load it again.');
+    }
+
+    const accessibility = Object.assign({}, chartDefaults.accessibility, options.accessibility);
+    if (accessibility.title !== null && typeof accessibility.title !== 'string') {
+        errors.push('accessibility.title must be null or a string.');
+    }
+    if (typeof accessibility.table !== 'boolean') {
+        errors.push('accessibility.table must be true or false.');
+    }
+
+    const aggregation = Object.assign({}, chartDefaults.aggregation, options.aggregation);
+    const methods = typeof aggregationMethods === 'undefined' ? [] : Object.keys(aggregationMethods);
+    if (methods.length > 0 && !methods.includes(aggregation.method)) {
+        errors.push(`aggregation.method must be one of ${methods.join(', ')}.`);
+    }
+    if (aggregation.groupBy !== null && typeof aggregation.groupBy !== 'string') {
+        errors.push('aggregation.groupBy must be null or a column name.');
+    }
+    else if (aggregation.groupBy !== null && options.type === 'aggregated-pie') {
+        errors.push('aggregation.groupBy does not apply to aggregated-pie charts, which have a slice per value column.');
+    }
+    const filter = aggregation.filter;
+    const isBound = bound => bound === undefined || bound === null || isNumber(bound) || typeof bound === 'string';
+    if (filter !== null && !(typeof filter === 'object' && isBound(filter.from) && isBound(filter.to)
+        && (filter.column === undefined || filter.column === null || typeof filter.column === 'string'))) {
+        errors.push('aggregation.filter must be null or {column, from, to}, with numbers or strings as bounds.');
+    }
+
+    const urlState = Object.assign({}, chartDefaults.urlState, options.urlState);
+    const targetNode = typeof options.target === 'string' || options.target instanceof Element ? d3.select(options.target).node() : null;
+    if (typeof urlState.enabled !== 'boolean') {
+        errors.push('urlState.enabled must be true or false.');
+    }
+    else if (urlState.enabled && typeof createUrlStateChart !== 'function') {
+        errors.push('url-state.js is not loaded, add its script to the page.');
+    }
+    if (urlState.key !== null && !(typeof urlState.key === 'string' && /^[\w-]+$/.test(urlState.key))) {
+        errors.push('urlState.key must be null or a name made of letters, digits, "-" and "_".');
+    }
+    else if (urlState.enabled && urlState.key === null && targetNode && !targetNode.id) {
+        errors.push('urlState.key must be set when target has no id.');
+    }
+
+    const annotations = Object.assign({}, chartDefaults.annotations, options.annotations);
+    const isAnnotationSource = annotations.source === null || (typeof annotations.source === 'string' && annotations.source !== '')
+        || (typeof Blob !== 'undefined' && annotations.source instanceof Blob) || Array.isArray(annotations.source);
+    if (!Array.isArray(annotations.items)) {
+        errors.push('annotations.items must be an array of annotations, such as [{type: "line", y: 100, label: "Target"}].');
+    }
+    else if (!isAnnotationSource) {
+        errors.push('annotations.source must be null or the location of a CSV file, its text, a File or Blob, or an array of rows.');
+    }
+    else if (annotations.items.length > 0 || annotations.source !== null) {
+        if (typeof loadAnnotations !== 'function') {
+            errors.push('annotations.js is not loaded, add its script to the page.');
+        }
+        else {
+            annotations.items.forEach((annotation, i) => {
+                const problem = annotationProblem(annotation);
+                if (problem) {
+                    errors.push(`annotations.items[${i}] ${problem}.`);
+                }
+            });
+        }
+        if (chartTypes[options.type] && !['line', 'multi-line'].includes(options.type)) {
+            errors.push('annotations are only drawn on line charts, remove them or change type.');
+        }
+    }
+
+    const overlays = Object.assign({}, chartDefaults.overlays, options.overlays);
+    if (typeof rollingMethods !== 'undefined' && overlays.rolling !== null && !rollingMethods.hasOwnProperty(overlays.rolling)) {
+        errors.push(`overlays.rolling must be null or one of ${Object.keys(rollingMethods).join(', ')}.`);
+    }
+    if (!(Number.isInteger(overlays.window) && overlays.window >= 2)) {
+        errors.push('overlays.window must be a whole number of at least 2.');
+    }
+    if (overlays.band !== null && !(Array.isArray(overlays.band) && overlays.band.length === 2 && overlays.band.every(isNumber)
+        && overlays.band[0] >= 0 && overlays.band[0] < overlays.band[1] && overlays.band[1] <= 100)) {
+        errors.push('overlays.band must be null or [low, high] percentiles from 0 to 100, such as [10, 90].');
+    }
+    if (typeof overlays.trend !== 'boolean') {
+        errors.push('overlays.trend must be true or false.');
+    }
+    if (!Array.isArray(overlays.markers) || (typeof statisticMarkers !== 'undefined' && !overlays.markers.every(marker => statisticMarkers.includes(marker)))) {
+        errors.push(`overlays.markers must be an array of ${typeof statisticMarkers !== 'undefined' ? statisticMarkers.join(', ') : 'markers'}.`);
+    }
+    if (overlays.series !== null && !(Array.isArray(overlays.series) && overlays.series.every(column => typeof column === 'string'))) {
+        errors.push('overlays.series must be null or an array of column names.');
+    }
+    const asksForOverlays = overlays.rolling !== null || overlays.band !== null || overlays.trend === true
+        || (Array.isArray(overlays.markers) && overlays.markers.length > 0);
+    if (asksForOverlays && typeof computeSeriesStatistics !== 'function') {
+        errors.push('overlays.js is not loaded, add its script to the page.');
+    }
+    else if (asksForOverlays && chartTypes[options.type] && !['line', 'multi-line'].includes(options.type)) {
+        errors.push('overlays are only drawn on line charts, remove them or change type.');
+    }
+
+    const pie = Object.assign({}, chartDefaults.pie, options.pie);
+    if (!(isNumber(pie.donut) && pie.donut >= 0 && pie.donut < 1)) {
+        errors.push('pie.donut must be a number from 0 to less than 1, such as 0.5.');
+    }
+    if (!(isNumber(pie.other) && pie.other >= 0 && pie.other < 1)) {
+        errors.push('pie.other must be a number from 0 to less than 1, such as 0.03 for 3%.');
+    }
+    if (typeof sliceLabelPlacements !== 'undefined' && !sliceLabelPlacements.includes(pie.labels)) {
+        errors.push(`pie.labels must be one of ${sliceLabelPlacements.join(', ')}.`);
+    }
+    if (pie.labelTemplate !== null && typeof pie.labelTemplate !== 'string') {
+        errors.push('pie.labelTemplate must be null or a string such as "{week}: {amount}".');
+    }
+
+    const bars = Object.assign({}, chartDefaults.bars, options.bars);
+    if (typeof barLayouts !== 'undefined' && !barLayouts.includes(bars.layout)) {
+        errors.push(`bars.layout must be one of ${barLayouts.join(', ')}.`);
+    }
+    if (typeof barOrientations !== 'undefined' && !barOrientations.includes(bars.orientation)) {
+        errors.push(`bars.orientation must be one of ${barOrientations.join(', ')}.`);
+    }
+
+    const areas = Object.assign({}, chartDefaults.areas, options.areas);
+    if (typeof areaOffsets !== 'undefined' && !areaOffsets.hasOwnProperty(areas.offset)) {
+        errors.push(`areas.offset must be one of ${Object.keys(areaOffsets).join(', ')}.`);
+    }
+
+    const heatmap = Object.assign({}, chartDefaults.heatmap, options.heatmap);
+    if (typeof heatmapScales !== 'undefined' && !heatmapScales.includes(heatmap.scale)) {
+        errors.push(`heatmap.scale must be one of ${heatmapScales.join(', ')}.`);
+    }
+    if (typeof heatmapSortOrders !== 'undefined') {
+        ['sortX', 'sortY']
+            .filter(key => !heatmapSortOrders.hasOwnProperty(heatmap[key]))
+            .forEach(key => errors.push(`heatmap.${key} must be one of ${Object.keys(heatmapSortOrders).join(', ')}.`));
+    }
+
+    const negatives = Object.assign({}, chartDefaults.negatives, options.negatives);
+    if (typeof negativePolicies !== 'undefined' && !negativePolicies.includes(negatives.policy)) {
+        errors.push(`negatives.policy must be one of ${negativePolicies.join(', ')}.`);
+    }
+
+    if (typeof resolveChartTheme !== 'function') {
+        errors.push('chart-themes.js is not loaded, add its script to the page.');
+        return errors;
+    }
+    const theme = Object.assign({}, chartDefaults.theme, options.theme);
+    const themeKeys = ['name', 'colors'].concat(Object.keys(chartThemes.light));
+    const isNonEmptyString = value => typeof value === 'string' && value !== '';
+    Object.keys(theme)
+        .filter(key => !themeKeys.includes(key))
+        .forEach(key => errors.push(`Unknown theme option "${key}", expected one of ${themeKeys.join(', ')}.`));
+    if (!chartThemes[theme.name] && theme.name !== 'auto') {
+        errors.push(`theme.name must be one of ${Object.keys(chartThemes).concat('auto').join(', ')}.`);
+    }
+    if (!theme.colors || typeof theme.colors !== 'object' || !Object.values(theme.colors).every(isNonEmptyString)) {
+        errors.push('theme.colors must map column names to colours, such as {amount1: "#d62728"}.');
+    }
+    if (theme.palette !== undefined && !(Array.isArray(theme.palette) && theme.palette.length > 0 && theme.palette.every(isNonEmptyString))) {
+        errors.push('theme.palette must be a non-empty array of colours.');
+    }
+    ['background', 'foreground', 'fontFamily', 'axis', 'grid']
+        .filter(key => theme[key] !== undefined && !isNonEmptyString(theme[key]) && !(key === 'background' && theme[key] === null))
+        .forEach(key => errors.push(`theme.${key} must be a non-empty string${key === 'background' ? ' or null' : ''}.`));
+    if (theme.fontSize !== undefined && !(isNumber(theme.fontSize) && theme.fontSize > 0)) {
+        errors.push('theme.fontSize must be a positive number.');
+    }
+    if (theme.tooltip !== undefined && !(theme.tooltip && typeof theme.tooltip === 'object')) {
+        errors.push('theme.tooltip must be an object such as {background, color, border}.');
+    }
+
+    return errors;
+}
+
+/**
+ * Load the data of a chart and return the handle controlling it.
+ *
+ * Shared by all chart types, which only draw: the handle loads the data (see
+ * loadChartData()), reports errors, follows resizes (see the responsive
+ * option), refreshes the data (see the refresh option) and removes the
+ * chart.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart. An error message replaces it until data
+ *   can be displayed.
+ * @param {function} render
+ *   Draws the chart the first time data is loaded. Called with what
+ *   loadChartData() resolves with, plus the annotations (see
+ *   loadAnnotations(), an empty array without annotations.js), the handle
+ *   and viewChanged(), it returns
+ *   {update, resize, getView, setView}: update(loaded) is called the same
+ *   way when new data is loaded, and resize(size), if set, with the new
+ *   {width, height} of the SVG when a responsive chart is resized
+ *   (options.size is already updated). Both may throw a ChartDataError if
+ *   the chart can't display the data. Charts whose view can be changed,
+ *   such as by hiding lines, also return getView() and setView(view), and
+ *   call viewChanged() when the visitor changes the view.
+ *
+ * @return {object}
+ *   The chart handle:
+ *   - update(dataOrSource): display new data, from any kind of source (see
+ *     the source option): the location of a CSV file, its text, a File or
+ *     an array of rows such as [{week: 1, amount: 10}], checked like a CSV
+ *     file. Returns a Promise which resolves once the chart is
+ *     updated, or rejects if the data can't be charted, in which case the
+ *     chart keeps its data.
+ *   - destroy(): stop refreshing and remove the chart, its controls and its
+ *     legend from the page.
+ *   - getView(): the view of the chart, {series, zoom} for multi-line
+ *     charts: series lists the selected lines, or is null if all are, and
+ *     zoom is the [from, to] x range in view, or null if not zoomed;
+ *     {series} for bar and stacked area charts. {} for other charts, or
+ *     until data is drawn.
+ *   - setView(view): show a view as returned by getView(); values may also
+ *     be strings, as read from a URL.
+ *   - on(type, listener): as with d3.dispatch, call listener(loaded) on
+ *     "load" when the first data is drawn and on "update" when new data is
+ *     drawn, listener(error) on "error" when data can't be charted,
+ *     listener(view) on "view" when the visitor changes the view (see
+ *     getView()), and listener() on "destroy". Returns the handle.
+ */
+function createChartHandle(options, svgNode, render) {
+    const chartLocation = options.target;
+    const events = d3.dispatch('load', 'update', 'error', 'view', 'destroy');
+    // Elements which were already on the page are kept by destroy().
+    const containers = [chartLocation, options.legend.target]
+        .filter(target => target)
+        .map(target => d3.select(target).node());
+    const existing = new Set(containers.flatMap(container => [...container.children]));
+    existing.delete(svgNode);
+
+    let chart = null;
+    let observer = null;
+    let timer = null;
+    let destroyed = false;
+    // Location reloaded by the refresh option, null once other data was passed to update().
+    let source = options.source;
+    // Loads run one after the other, so the last one wins.
+    let queue = Promise.resolve();
+
+    /*
+        Any kind of source is read like the first one, see readChartSource().
+        Annotations are read again with the data, their x values parsed like
+        its x column, see loadAnnotations().
+    */
+    function load(dataOrSource, init) {
+        return loadChartData(Object.assign({}, options, { source: dataOrSource }), init)
+            .then(loaded => {
+                if (typeof loadAnnotations !== 'function') {
+                    return Object.assign(loaded, { annotations: [] });
+                }
+                return loadAnnotations(options, loaded.xAxisValues, init)
+                    .then(annotations => Object.assign(loaded, { annotations }));
+            });
+    }
+
+    function display(loaded, dataOrSource) {
+        if (destroyed) {
+            return;
+        }
+        const event = chart ? 'update' : 'load';
+        if (chart) {
+            chart.update(loaded);
+        }
+        else {
+            // An error message replaced the chart, see fail().
+            d3.select(chartLocation).select('.chart-error').remove();
+            if (!svgNode.isConnected) {
+                d3.select(chartLocation).insert(() => svgNode, ':first-child');
+            }
+            chart = render(loaded, handle, () => events.call('view', handle, handle.getView()));
+            if (chart.resize) {
+                observer = observeChartSize(chartLocation, options, chart.resize);
+            }
+        }
+        if (isSourceLocation(dataOrSource)) {
+            options.source = dataOrSource;
+        }
+        source = isSourceLocation(dataOrSource) ? dataOrSource : null;
+        events.call(event, handle, loaded);
+    }
+
+    function fail(error) {
+        if (destroyed) {
+            return;
+        }
+        console.error('Error loading or parsing data:', error);
+        // Until some data is drawn there is no chart to keep.
+        if (!chart) {
+            showChartError(chartLocation, error);
+        }
+        events.call('error', handle, error);
+    }
+
+    function queueLoad(dataOrSource, init) {
+        const loaded = queue.then(() => load(dataOrSource, init)).then(data => display(data, dataOrSource));
+        queue = loaded.catch(fail);
+        return loaded;
+    }
+
+    // Reload the source after refresh.interval, then again, until destroyed.
+    function scheduleRefresh() {
+        timer = setTimeout(() => {
+            const refreshed = source === null
+                ? Promise.resolve()
+                : queueLoad(source, { cache: 'no-cache' }).catch(() => {});
+            refreshed.then(() => {
+                if (!destroyed) {
+                    scheduleRefresh();
+                }
+            });
+        }, options.refresh.interval);
+    }
+
+    const handle = {
+        update: dataOrSource => queueLoad(dataOrSource),
+        getView: () => chart && chart.getView ? chart.getView() : {},
+        setView(view) {
+            if (chart && chart.setView) {
+                chart.setView(view);
+            }
+        },
+        destroy() {
+            if (destroyed) {
+                return;
+            }
+            events.call('destroy', handle);
+            destroyed = true;
+            clearTimeout(timer);
+            if (observer) {
+                observer.disconnect();
+            }
+            containers.forEach(container => {
+                [...container.children]
+                    .filter(child => !existing.has(child))
+                    .forEach(child => {
+                        d3.select(child).selectAll('*').interrupt();
+                        child.remove();
+                    });
+            });
+        },
+        on(type, listener) {
+            events.on(type, listener);
+            return handle;
+        },
+    };
+
+    queueLoad(options.source).catch(() => {});
+    if (options.refresh.interval) {
+        queue.then(scheduleRefresh);
+    }
+
+    return handle;
+}
+
+/**
+ * Work out the total size of the SVG of a chart.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart is displayed.
+ * @param {object} options
+ *   Chart options normalized by renderChart().
+ *
+ * @return {object}
+ *   {width, height}: options.size, or for responsive charts the width of
+ *   chartLocation and the matching height (see the responsive option). A
+ *   hidden chartLocation has no width, in which case options.size is used.
+ */
+function chartSize(chartLocation, options) {
+    const containerWidth = d3.select(chartLocation).node().clientWidth;
+
+    if (!options.responsive.enabled || !containerWidth) {
+        return options.size;
+    }
+
+    const width = Math.max(containerWidth, options.margin.left + options.margin.right + minimumResponsiveWidth);
+    const height = options.responsive.keepAspectRatio
+        // Not rounded, so the proportions don't drift over successive resizes.
+        ? width * options.size.height / options.size.width
+        : options.size.height;
+    return { width, height };
+}
+
+/**
+ * Lay out a responsive chart again whenever its container is resized.
+ *
+ * Resizes are handled at most once per animation frame, and only when the
+ * size of the chart actually changes.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart is displayed.
+ * @param {object} options
+ *   Chart options normalized by renderChart(); options.size is updated with
+ *   the new size before onResize is called.
+ * @param {function} onResize
+ *   Called with the new {width, height} of the SVG.
+ *
+ * @return {ResizeObserver|null}
+ *   The observer, which can be disconnected to stop following resizes, or
+ *   null if the chart is not responsive or the browser can't observe resizes.
+ */
+function observeChartSize(chartLocation, options, onResize) {
+    if (!options.responsive.enabled || typeof ResizeObserver === 'undefined') {
+        return null;
+    }
+
+    let frame = null;
+    const observer = new ResizeObserver(() => {
+        cancelAnimationFrame(frame);
+        frame = requestAnimationFrame(() => {
+            const size = chartSize(chartLocation, options);
+            if (size.width !== options.size.width || size.height !== options.size.height) {
+                options.size = size;
+                onResize(size);
+            }
+        });
+    });
+    observer.observe(d3.select(chartLocation).node());
+    return observer;
+}
+
+/**
+ * Add the element holding the legend or the controls of a chart.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart is displayed.
+ * @param {object} options
+ *   Chart options normalized by renderChart(); see the legend option.
+ * @param {string} className
+ *   Class of the new element, such as "legend".
+ *
+ * @return {object}
+ *   The D3 selection of a new <div>, appended to legend.target if set or
+ *   else inserted above the chart, so it belongs to this chart only.
+ */
+function addLegendContainer(chartLocation, options, className) {
+    const container = options.legend.target
+        ? d3.select(options.legend.target).append('div')
+        : d3.select(chartLocation).insert('div', 'svg');
+    return container.attr('class', className);
+}
+
+/**
+ * Generate an id which is unique on the page.
+ *
+ * SVG features such as clip paths are referenced by id, so each chart needs
+ * its own when several charts are displayed on the same page.
+ *
+ * @param {string} prefix
+ *   A prefix describing what the id is for, such as "clip".
+ *
+ * @return {string}
+ *   An id such as "clip-3".
+ */
+function uniqueChartId(prefix) {
+    chartIdCount += 1;
+    return `${prefix}-${chartIdCount}`;
+}
+
+/**
+ * Work out which CSV columns a chart plots.
+ *
+ * Called once the CSV file is loaded, because the defaults depend on its
+ * header row.
+ *
+ * @param {object} options
+ *   Options normalized by renderChart().
+ * @param {string[]} headers
+ *   The columns of the CSV file, in order, such as data.columns from d3.csv().
+ * @param {string} name
+ *   What the data is called in error messages, by default the source.
+ *
+ * @return {object}
+ *   {x, y}, where y is a column name for "single" chart types and an array of
+ *   column names for "multiple" chart types.
+ *
+ * @throws {ChartDataError}
+ *   If the CSV file has no columns to plot or a requested column is missing.
+ */
+function resolveColumns(options, headers, name = options.source) {
+    if (!headers || headers.length < 2) {
+        throw new ChartDataError(`${name} needs a header row with at least two columns.`);
+    }
+
+    const x = options.columns.x || headers[0];
+    const others = headers.filter(column => column !== x);
+    let y;
+    if (chartTypes[options.type].columns === 'single') {
+        y = options.columns.y || others[0];
+    }
+    else {
+        y = options.columns.y || others;
+    }
+
+    const missing = [x].concat(y).filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+        throw new ChartDataError(`Column(s) ${missing.join(', ')} not found in ${name}, which has ${headers.join(', ')}.`);
+    }
+
+    return { x, y };
+}
+
+/**
+ * Add a notice above a chart, about how its data is displayed.
+ *
+ * For example a pie chart says which negative values it leaves out (see
+ * arrangeSlices()). The notice has the chart-notice class and can be styled
+ * from CSS; screen readers announce it when it changes.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart is displayed.
+ * @param {SVGSVGElement} svgNode
+ *   The <svg> element of the chart, which the notice is inserted before.
+ *
+ * @return {function}
+ *   Call it with the text of the notice, or null to hide the notice.
+ */
+function addChartNotice(chartLocation, svgNode) {
+    const notice = d3.select(chartLocation).insert('div', () => svgNode)
+        .attr('class', 'chart-notice')
+        .attr('role', 'status')
+        .property('hidden', true);
+
+    return message => notice.text(message || '').property('hidden', !message);
+}
+
+/**
+ * Display an error panel where the chart would have been.
+ *
+ * For a ChartDataError (see csv-schema.js) the panel lists the offending
+ * rows and columns of the CSV file, so whoever maintains the file can fix
+ * it. The panel has the chart-error class and can be styled from CSS.
+ *
+ * @param {string} chartLocation
+ *   The element where the chart was to be displayed.
+ * @param {string|Error} error
+ *   The message or error to display.
+ */
+function showChartError(chartLocation, error) {
+    const container = d3.select(chartLocation);
+    const issues = error.issues || [];
+
+    // Replace the empty SVG, if any, with the panel.
+    container.selectAll('svg').remove();
+    container.selectAll('.chart-error').remove();
+
+    const panel = container.append('div')
+        .attr('class', 'chart-error')
+        .attr('role', 'alert')
+        .style('color', 'red')
+        .style('background-color', '#fff')
+        .style('border', '1px solid red')
+        .style('padding', '5px 10px');
+
+    panel.append('p')
+        .style('font-weight', 'bold')
+        .text(typeof error === 'string' ? error : `Failed to load data: ${error.message}`);
+
+    if (issues.length > 0) {
+        const list = panel.append('ul');
+        issues.slice(0, maxReportedIssues).forEach(issue => {
+            list.append('li')
+                .text(`Row ${issue.row}, column ${issue.column}: "${issue.value}" ${issue.message}.`);
+        });
+        if (issues.length > maxReportedIssues) {
+            panel.append('p').text(`…and ${issues.length - maxReportedIssues} more.`);
+        }
+    }
+}
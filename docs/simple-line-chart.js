@@ -1,39 +1,28 @@
 /**
  * Display a simple line chart.
  *
- * @param {string} source
- *   A location such as data/simple-line-chart.csv.
- * @param {string} xAxisLabel
- *   A x axis label such as "week".
- * @param {string} yAxisLabel
- *   A x axis label such as "amount".
- * @param {string} chartLocation
- *   An element on the page, often a div with an id, where the chart will be
- *   displayed.
- * @param {int} width
- *   Width of the chart.
- * @param {int} height
- *   Height of the chart.
- * @param {int} margin
- *   Margins provides padding around the chart.
- * @param {bool} displayXAxisPlotting
- *   If displayXAxisPlotting is true to then X axis displayed in chart.
- * @param {bool} displayYAxisPlotting
- *   If displayYAxisPlotting is true to then Y axis displayed in chart.
+ * @param {object} options
+ *   Chart options normalized by renderChart(), see render-chart.js. The
+ *   source is a location such as data/simple-line-chart.csv; columns.x is
+ *   the x axis column such as "week" and columns.y the y axis column such as
+ *   "amount".
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
  *
  * See https://d3-graph-gallery.com/graph/shape.html#myline.
  */
-function simpleLineChart(
-  source,
-  xAxisLabel,
-  yAxisLabel,
-  chartLocation,
-  width,
-  height,
-  margin,
-  displayXAxisPlotting,
-  displayYAxisPlotting
-) {
+function simpleLineChart(options) {
+  const chartLocation = options.target;
+  const margin = options.margin;
+  /*
+    Width and Height determine the size of the area where
+    the actual chart is drawn. These values are derived by
+    subtracting the margins from the total SVG dimensions.
+  */
+  let width = options.size.width - margin.left - margin.right;
+  let height = options.size.height - margin.top - margin.bottom;
+
   /*
     Create SVG element
     chartLocation is a selector string or a reference to an
@@ -69,144 +58,289 @@ function simpleLineChart(
     */
     .attr("transform", `translate(${margin.left},${margin.top})`);
 
-  // Read the CSV file.
-  d3.csv(source).then(function(data) {
-    // Parse data: convert strings to numbers
-    data.forEach(d => {
-      // Convert week to number
-      d.week = +d[xAxisLabel];
-      // Convert amount to number
-      d.amount = +d[yAxisLabel];
-    });
+  // Background and font of the theme, see chart-themes.js.
+  applyChartTheme(svg.node().ownerSVGElement, options.theme);
+
+  /*
+    Read and parse the CSV file (see csv-schema.js): week is
+    converted to a number, or to a date, and amount to a number.
+    xAxisLabel is the x axis column such as "week" and yAxisLabel
+    the y axis column such as "amount".
+    They are replaced when the chart is updated with new data.
+  */
+  return createChartHandle(options, svg.node().ownerSVGElement, function(loaded) {
+    let { data, columns: { x: xAxisLabel, y: yAxisLabel }, xAxisValues, annotations } = loaded;
+    // Scales of the last drawing, where the keyboard places its marker.
+    let xScale;
+    let yScale;
 
     /*
-      Create scales
-      d3.scaleLinear() is a function from D3.js that creates
-      a linear scale. Linear scales map numerical data values to
-      a continuous range of pixel values. It’s used for axes
-      where the data is distributed in a linear fashion.
+      Append the line path
+      svg.append("path") creates a new <path> element within the
+      SVG container to represent the line chart. It is kept when
+      the chart is updated or resized, and draw() moves it.
     */
-    const xScale = d3.scaleLinear()
+    const path = svg.append("path")
+      // .attr("class", "line") applies a CSS class to style the line.
+      .attr("class", "line")
+      // .attr('fill', 'none') ensures no fill color inside the path.
+      .attr('fill', 'none');
+
+    // Statistics of the line, see the overlays option below.
+    const overlayGroup = svg.append("g")
+      .attr("class", "overlay-series");
+
     /*
-      d3.extent(data, d => d[xAxisLabel]) calculates the 
-      extent (i.e., minimum and maximum) of the data values for 
-      the x-axis.
-      data is your dataset (an array of objects).
-        d => d[xAxisLabel] is a function that extracts the value
-      corresponding to xAxisLabel from each data object. 
-      xAxisLabel should be a string representing the key for 
-      the x-axis data (e.g., "week").
-        d3.extent returns an array with two values: the minimum 
-      and maximum values in the dataset for the specified key.
-      This array sets the domain of the scale.
+      Append the axes to the SVG
+      A group element (<g>) for each axis is appended to the SVG,
+      draw() renders the axis in it.
     */
-    .domain(d3.extent(data, d => d[xAxisLabel]))
-      /*
-        range specifies the range of pixel values the data values will be mapped to.
-        [0, width] means that the smallest data value will be
-        mapped to pixel position 0, and the largest data value will
-        be mapped to pixel position width. If width is,
-        for example, 730 pixels, then the data values will be
-        mapped from 0 to 730 pixels along the x-axis.
-      */
-      .range([0, width]);
+    const xAxisGroup = options.axes.x ? svg.append("g") : null;
+    const yAxisGroup = options.axes.y ? svg.append("g") : null;
+
+    // Reference lines, bands and markers of the annotations option, see annotations.js.
+    const annotationLayer = svg.append("g");
 
     /*
-      Linear scales map numerical data values to
-      a continuous range of pixel values.
+      Draw the chart in the current width and height. Responsive
+      charts (see render-chart.js) are drawn again when resized,
+      without reloading the CSV file, and every chart when it is
+      updated with new data: the line and the axes then move to the
+      new values in transitionDuration milliseconds.
     */
-    const yScale = d3.scaleLinear()
+    function draw(transitionDuration = 0) {
+      const move = selection => transitionDuration ? selection.transition().duration(transitionDuration) : selection;
+
       /*
-        .domain([0, d3.max(data, d => d[yAxisLabel])]) sets the 
-        input domain of the scale. It starts from 0 (to include 
-        lower values) and goes up to the maximum value found in the 
-        dataset for the y-axis.
+        Create scales
+        d3.scaleLinear() is a function from D3.js that creates
+        a linear scale. Linear scales map numerical data values to
+        a continuous range of pixel values. It’s used for axes
+        where the data is distributed in a linear fashion.
+        Dates get a d3.scaleTime() instead, which maps dates the
+        same way and picks ticks at calendar intervals.
       */
-      .domain([0, d3.max(data, d => d[yAxisLabel])])
-      /*   
-        .range([height, 0]) sets the output range of the scale.
-        It maps data values to pixel positions on the y-axis, where 
-        height corresponds to the bottom of the chart and 0 
-        corresponds to the top.
+      xScale = createXScale(xAxisValues.isDate)
+      /*
+        d3.extent(data, d => d[xAxisLabel]) calculates the 
+        extent (i.e., minimum and maximum) of the data values for 
+        the x-axis.
+        data is your dataset (an array of objects).
+          d => d[xAxisLabel] is a function that extracts the value
+        corresponding to xAxisLabel from each data object. 
+        xAxisLabel should be a string representing the key for 
+        the x-axis data (e.g., "week").
+          d3.extent returns an array with two values: the minimum 
+        and maximum values in the dataset for the specified key.
+        This array sets the domain of the scale.
       */
-      .range([height, 0]);
+      .domain(d3.extent(data, d => d[xAxisLabel]))
+        /*
+          range specifies the range of pixel values the data values will be mapped to.
+          [0, width] means that the smallest data value will be
+          mapped to pixel position 0, and the largest data value will
+          be mapped to pixel position width. If width is,
+          for example, 730 pixels, then the data values will be
+          mapped from 0 to 730 pixels along the x-axis.
+        */
+        .range([0, width]);
 
-    /*
-      Create line generator
-      line(), it will generate an SVG path string that
-      describes the line connecting all the data points, which
-      you can then append to the SVG to render the line chart.
-    */
-    const line = d3.line()
       /*
-        .x(d => xScale(d[xAxisLabel])) sets the x-coordinate of the
-        line based on the xAxisLabel data.
-        d => d[xAxisLabel] is a function that extracts the value
-        for the x-axis from each data object. xAxisLabel should be
-        a string representing the key for the x-axis data
-        (e.g., "week").
-        xScale(d[xAxisLabel]) applies the xScale to the x-axis
-        value, converting it from data units to pixel units. This
-        maps the data value to a specific position along the x-axis.
+        Linear scales map numerical data values to
+        a continuous range of pixel values.
       */
-      .x(d => xScale(d[xAxisLabel]))
-      .y(d => yScale(d[yAxisLabel]));
+      yScale = d3.scaleLinear()
+        /*
+          .domain([0, d3.max(data, d => d[yAxisLabel])]) sets the 
+          input domain of the scale. It starts from 0 (to include 
+          lower values) and goes up to the maximum value found in the 
+          dataset for the y-axis.
+        */
+        .domain([0, d3.max(data, d => d[yAxisLabel])])
+        /*   
+          .range([height, 0]) sets the output range of the scale.
+          It maps data values to pixel positions on the y-axis, where 
+          height corresponds to the bottom of the chart and 0 
+          corresponds to the top.
+        */
+        .range([height, 0]);
+
+      /*
+        Create line generator
+        line(), it will generate an SVG path string that
+        describes the line connecting all the data points, which
+        you can then append to the SVG to render the line chart.
+      */
+      const line = d3.line()
+        /*
+          .x(d => xScale(d[xAxisLabel])) sets the x-coordinate of the
+          line based on the xAxisLabel data.
+          d => d[xAxisLabel] is a function that extracts the value
+          for the x-axis from each data object. xAxisLabel should be
+          a string representing the key for the x-axis data
+          (e.g., "week").
+          xScale(d[xAxisLabel]) applies the xScale to the x-axis
+          value, converting it from data units to pixel units. This
+          maps the data value to a specific position along the x-axis.
+        */
+        .x(d => xScale(d[xAxisLabel]))
+        .y(d => yScale(d[yAxisLabel]));
 
-    /*
-      Append the line path
-      svg.append("path") creates a new <path> element within the
-      SVG container to represent the line chart.
-    */
-    svg.append("path")
       /*
-        the data array to the path element, ensuring that the line
+        Bind the data array to the path element, ensuring that the line
         generator function has the data it needs to generate the path.
       */
-      .data([data])
-      // .attr("class", "line") applies a CSS class to style the line.
-      .attr("class", "line")
-      // .attr('stroke', 'black') sets the color of the line.
-      .attr('stroke', 'black')
-      // .attr('fill', 'none') ensures no fill color inside the path.
-      .attr('fill', 'none')
+      path.datum(data)
+        /*
+          .attr('stroke', ...) sets the color of the line: the color
+          the theme gives the column if any, otherwise the color of
+          its text (black in the light theme).
+        */
+        .attr('stroke', options.theme.colors[yAxisLabel] || options.theme.foreground);
       /*
         .attr("d", line) uses the line generator function to
-        generate the path data string for the line chart. 
+        generate the path data string for the line chart.
       */
-      .attr("d", line);
+      move(path)
+        .attr("d", line);
 
-      if (displayXAxisPlotting)
-        /*
-          Append the x-axis to the SVG
-          A group element (<g>) for the x-axis is appended to the SVG.
-        */
-        svg.append("g")
+      /*
+        Statistics of the line (see the overlays option and
+        overlays.js), if its checkbox is checked. They are worked
+        out again when the data changes.
+      */
+      if (showsOverlays) {
+        statistics = statistics || computeSeriesStatistics(d3.sort(data, d => d[xAxisLabel]), xAxisLabel, yAxisLabel, options.overlays);
+        const trend = describeTrend(statistics.trend, xAxisLabel, xAxisValues.isDate);
+        overlayLegend.text(` statistics of ${yAxisLabel}${trend ? `, ${trend}` : ""}`);
+        if (overlayToggle.checked) {
+          drawSeriesStatistics(overlayGroup, statistics, { x: xScale, y: yScale },
+            options.theme.colors[yAxisLabel] || options.theme.foreground, options.theme, transitionDuration);
+        }
+        else {
+          overlayGroup.selectAll("*").remove();
+        }
+      }
+
+      if (xAxisGroup) {
         // Move the x-axis to the bottom of the chart
-        .attr("transform", `translate(0,${height})`)
+        xAxisGroup.attr("transform", `translate(0,${height})`);
         /*
           Create and render the x-axis with ticks
           d3.axisBottom(xScale) is used to generate the bottom axis,
-          and .ticks(data.length) customizes the number of ticks.
-          The axis is then rendered in the group element using .call()
+          and configureXTicks() customizes the number of ticks.
+          The axis is then rendered in the group element using .call(),
+          and the theme applied again since the axis resets the font.
         */
-        .call(d3.axisBottom(xScale).ticks(data.length));
+        move(xAxisGroup)
+          .call(configureXTicks(d3.axisBottom(xScale), data, xAxisValues.isDate, width, options));
+        xAxisGroup.call(applyAxisTheme, options.theme);
+      }
 
-    if (displayYAxisPlotting)
-      /*
-        Append the y-axis to the SVG
-        A group element (<g>) for the y-axis is appended to the SVG.
-      */
-      svg.append("g")
-      /*
-        Create and render the y-axis
-        .call(d3.axisLeft(yScale)) generates and renders a vertical axis
-        on the left side of the chart based on the yScale.
-        This axis will have ticks and labels corresponding to the values
-        defined in yScale, helping to visually represent the y-values of your data.
-      */
-      .call(d3.axisLeft(yScale));
-  }).catch(error => {
-    console.error('Error loading or parsing data:', error);
+      if (yAxisGroup) {
+        /*
+          Create and render the y-axis
+          .call(d3.axisLeft(yScale)) generates and renders a vertical axis
+          on the left side of the chart based on the yScale.
+          This axis will have ticks and labels corresponding to the values
+          defined in yScale, helping to visually represent the y-values of your data.
+        */
+        move(yAxisGroup)
+          .call(d3.axisLeft(yScale));
+        yAxisGroup.call(applyAxisTheme, options.theme);
+      }
+
+      if (annotations.length > 0) {
+        drawAnnotations(annotationLayer, annotations, { x: xScale, y: yScale, width, height }, options.theme, transitionDuration);
+      }
+      else {
+        annotationLayer.selectAll("*").remove();
+      }
+    }
+
+    // The checkbox showing the statistics of the line, with the slope of its trend.
+    const showsOverlays = typeof hasOverlays === "function" && hasOverlays(options.overlays);
+    let statistics = null;
+    let overlayToggle = null;
+    let overlayLegend = null;
+    if (showsOverlays) {
+      const label = addLegendContainer(chartLocation, options, "overlay-legend").append("label");
+      overlayToggle = label.append("input")
+        .attr("type", "checkbox")
+        .property("checked", options.overlays.series === null || options.overlays.series.includes(yAxisLabel))
+        .on("change", () => draw())
+        .node();
+      overlayLegend = label.append("span");
+    }
+
+    draw();
+
+    // The plotted values, weeks written as in the CSV file.
+    function formattedRows() {
+      return data.map(d => ({ [xAxisLabel]: xAxisValues.format(d[xAxisLabel]), [yAxisLabel]: d[yAxisLabel] }));
+    }
+
+    // The CSV download contains the plotted values.
+    if (options.export.enabled) {
+      addExportControls(chartLocation, svg.node().ownerSVGElement, options, () => ({
+        columns: [xAxisLabel, yAxisLabel],
+        rows: formattedRows(),
+      }));
+    }
+
+    /*
+      Accessibility (see chart-accessibility.js): a title and a
+      description for screen readers, the arrow keys move a marker
+      from point to point, and a button shows the data as a table.
+    */
+    const chartTitle = () => options.accessibility.title || `Line chart of ${yAxisLabel} by ${xAxisLabel}`;
+    function describe() {
+      const [first, last] = d3.extent(data, d => d[xAxisLabel]);
+      describeChart(svg.node().ownerSVGElement, chartTitle(),
+        `${data.length} points from ${xAxisLabel} ${xAxisValues.format(first)} to ${xAxisValues.format(last)}; ${describeRange(data, yAxisLabel)}. ${keyboardHint}`);
+    }
+    describe();
+
+    addKeyboardNavigation(chartLocation, svg.node().ownerSVGElement, {
+      count: () => data.length,
+      focus(index) {
+        const d = data[index];
+        svg.selectAll(".focus-point")
+          .data([d])
+          .join("circle")
+          .attr("class", "focus-point")
+          .attr("r", 4)
+          .attr("cx", xScale(d[xAxisLabel]))
+          .attr("cy", yScale(d[yAxisLabel]))
+          .attr("fill", options.theme.colors[yAxisLabel] || options.theme.foreground);
+        return `${xAxisLabel} ${xAxisValues.format(d[xAxisLabel])}: ${yAxisLabel} ${d[yAxisLabel]}`;
+      },
+      blur: () => svg.selectAll(".focus-point").remove(),
+    });
+
+    const dataTable = options.accessibility.table
+      ? addDataTable(chartLocation, () => ({ caption: chartTitle(), columns: [xAxisLabel, yAxisLabel], rows: formattedRows() }))
+      : null;
+
+    return {
+      update(loaded) {
+        ({ data, columns: { x: xAxisLabel, y: yAxisLabel }, xAxisValues, annotations } = loaded);
+        statistics = null;
+        draw(750);
+        describe();
+        if (dataTable) {
+          dataTable.refresh();
+        }
+      },
+      resize(size) {
+        width = size.width - margin.left - margin.right;
+        height = size.height - margin.top - margin.bottom;
+        d3.select(svg.node().ownerSVGElement)
+          .attr("width", size.width)
+          .attr("height", size.height);
+        draw();
+      },
+    };
   });
 
 }
@@ -1,32 +1,25 @@
 /**
  * Display a simple pie chart.
  *
- * @param {string} source
- *   A location such as data/simple-line-chart.csv.
- * @param {string} xAxisLabel
- *   A x axis label such as "week".
- * @param {string} yAxisLabel
- *   A x axis label such as "amount".
- * @param {string} chartLocation
- *   An element on the page, often a div with an id, where the chart will be
- *   displayed.
- * @param {int} width
- *   Width of the chart.
- * @param {int} height
- *   Height of the chart.
- * @param {int} margin
+ * @param {object} options
+ *   Chart options normalized by renderChart(), see render-chart.js. The
+ *   source is a location such as data/simple-line-chart.csv; each row is a
+ *   slice labelled by its columns.x value such as "week" and sized by its
+ *   columns.y value such as "amount", unless the aggregation option groups
+ *   rows into slices.
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
  *
  * See https://d3-graph-gallery.com/graph/shape.html#myline.
  */
-function simplePieChart(
-  source,
-  xAxisLabel,
-  yAxisLabel,
-  chartLocation,
-  width,
-  height,
-  margin
-) {
+function simplePieChart(options) {
+  const chartLocation = options.target;
+  const margin = options.margin;
+  // Size of the area where the pie is drawn, inside the margins.
+  let width = options.size.width - margin.left - margin.right;
+  let height = options.size.height - margin.top - margin.bottom;
+
   /*
     Create SVG element
     chartLocation is a selector string or a reference to an
@@ -60,63 +53,195 @@ function simplePieChart(
       Moves the group element to account for margins, so the
       actual chart area starts after the margin space.
     */
-    .attr("transform", `translate(${width / 2}, ${height / 2})`);
-
-    const radius = Math.min(width, height) / 2;
-    // Read the CSV file.
-    d3.csv(source).then(function(data) {
-      // Parse data: convert strings to numbers
-      data.forEach(d => {
-        // Convert week to number
-        d.week = +d[xAxisLabel];
-        // Convert amount to number
-        d.amount = +d[yAxisLabel];
-      });
+    .attr("transform", `translate(${margin.left + width / 2}, ${margin.top + height / 2})`);
+
+    // Background and font of the theme, see chart-themes.js.
+    applyChartTheme(svg.node().ownerSVGElement, options.theme);
+
+    /*
+      Read and parse the CSV file (see csv-schema.js): amount is
+      converted to a number, week is kept as a label.
+      xAxisLabel is the label column such as "week" and yAxisLabel
+      the value column such as "amount".
+      They are replaced when the chart is updated with new data.
+    */
+    return createChartHandle(options, svg.node().ownerSVGElement, function(loaded) {
+      /*
+        The slices (see aggregation.js): the rows are filtered and
+        grouped by the groupBy column, by default the label column,
+        and the values of each group summed (or averaged, counted...)
+        into one slice. Each slice is a row {label, value} named like
+        the columns, so that with unique labels and the default sum
+        there is one slice per row of the CSV file.
+        Slices too small to read are grouped into an "Other" slice (see
+        the pie option and groupSmallSlices()), and the slices drawn in
+        rings (see the negatives option and arrangeSlices()), with a
+        notice if values are negative.
+        sliceName() names a slice such as "week 3", or "Other".
+      */
+      function slices(loaded) {
+        const labelColumn = options.aggregation.groupBy || loaded.columns.x;
+        const valueColumn = loaded.columns.y;
+        const { groups } = aggregateRows(loaded, options.aggregation, labelColumn);
+        const data = groups.map(group => ({ [labelColumn]: group.key, [valueColumn]: group.values[valueColumn] }));
+        const grouped = groupSmallSlices(data, d => d[valueColumn], options.pie.other,
+          (group, sum) => ({ [labelColumn]: otherSliceLabel, [valueColumn]: sum }));
+        const sliceName = d => data.includes(d) ? `${labelColumn} ${d[labelColumn]}` : otherSliceLabel;
+        const { rings, notice } = arrangeSlices(grouped, d => d[valueColumn], sliceName, options.negatives.policy);
+        return { data, xAxisLabel: labelColumn, yAxisLabel: valueColumn, rings, notice, sliceName };
+      }
+
+      let { data, xAxisLabel, yAxisLabel, rings, notice, sliceName } = slices(loaded);
+      const setNotice = addChartNotice(chartLocation, svg.node().ownerSVGElement);
+      setNotice(notice);
+      // The slices drawn, in the order of their paths.
+      const shown = () => rings.flat();
 
       // Create a color scale
-      // The color scale assigns colors to different segments.
-      const color = d3.scaleOrdinal(d3.schemeCategory10);
-
-      // Create a pie chart layout
-      // The pie function computes the angles for each segment based on the amount values.
-      const pie = d3.pie().value(d => d.amount);
-
-      // Create an arc generator
-      // The arc function generates the path data for each slice.
-      const arc = d3.arc().outerRadius(radius - 10).innerRadius(0);
-
-      // Create a label arc generator
-      // The labelArc function helps place labels on the chart.
-      const labelArc = d3.arc().outerRadius(radius - 40).innerRadius(radius - 40);
-
-      // Append arcs
-      // The arcs are appended to the SVG, each filled with a color. 
-      const g = svg.selectAll(".arc")
-      .data(pie(data))
-      .enter().append("g")
-      .attr("class", "arc");
-
-      // The arcs are appended to the SVG, each filled with a color.
-      g.append("path")
-      .attr("d", arc)
-      .style("fill", d => color(d.data.week));
-
-      // Labels are added to the pie chart segments.
-      g.append("text")
-      .attr("transform", d => `translate(${labelArc.centroid(d)})`)
-      .attr("dy", ".35em")
-      .style("text-anchor", "middle")
-      .text(d => `W${d.data.week}: ${d.data.amount}`);
-
-      // Create a legend
-      const legend = d3.select(".legend");
-      data.forEach(d => {
-          legend.append("div")
-              .style("color", color(d.week))
-              .text(`Week ${d.week}: ${d.amount}`);
+      // The color scale assigns colors of the theme to different segments,
+      // each label keeping its color when the chart is updated.
+      const color = createColorScale(options.theme, data.map(d => d[xAxisLabel]));
+
+      /*
+        The label of a slice, in the chart and the legend, from the
+        labelTemplate of the pie option: placeholders are the columns
+        of the slice, such as {week} and {amount}, and {label}, {value},
+        {name} and {percent}.
+      */
+      const percent = d3.format(".0%");
+      function sliceLabel(d) {
+        const fields = { label: d[xAxisLabel], value: formatAggregate(d[yAxisLabel]), name: sliceName(d), percent: percent(share(d)) };
+        fields[xAxisLabel] = fields.label;
+        fields[yAxisLabel] = fields.value;
+        return formatSliceLabel(options.pie.labelTemplate || "{name}: {value}", fields);
+      }
+
+      /*
+        Draw the pie in the current width and height. Responsive
+        charts (see render-chart.js) are drawn again when resized,
+        with a radius fitting the new size, without reloading the
+        CSV file, and every chart when it is updated with new data:
+        the slices then turn to their new angles in transitionDuration
+        milliseconds.
+      */
+      function draw(transitionDuration = 0) {
+        svg.attr("transform", `translate(${margin.left + width / 2}, ${margin.top + height / 2})`);
+        // The labels and the total are written again.
+        svg.selectAll(".slice-labels, .pie-total").remove();
+
+        // Outside labels (see the pie option) take room around the pie.
+        const radius = pieRadius(width, height, options.pie.labels);
+
+        /*
+          Draw the rings, see drawPieRings(): each slice is sized by
+          its value, negative values (see the negatives option) by
+          their size, and filled with the color of its label, which
+          keeps its path when the chart is updated.
+        */
+        const labels = drawPieRings(svg, rings, {
+          value: d => d[yAxisLabel],
+          key: d => d[xAxisLabel],
+          color: d => color(d[xAxisLabel]),
+        }, radius, options.pie.donut, transitionDuration)
+          .map(slice => Object.assign(slice, { text: sliceLabel(slice.arc.data) }));
+
+        // Labels of every ring are laid out together, so they don't overlap (see pie-labels.js).
+        drawSliceLabels(svg, labels, options.pie.labels, height, options.theme);
+        if (options.pie.donut > 0) {
+          // The total of the slices drawn, see sumRings().
+          const { total, net } = sumRings(rings, d => d[yAxisLabel]);
+          const method = aggregationMethods[options.aggregation.method];
+          const caption = method === aggregationMethods.sum ? method.caption(yAxisLabel) : `total of the ${method.plural}`;
+          drawPieTotal(svg, total, net ? `net ${caption}` : caption, options.theme);
+        }
+      }
+
+      draw();
+
+      // Create a legend, in a container of this chart (see the legend option).
+      const legend = addLegendContainer(chartLocation, options, "legend");
+      function drawLegend() {
+        legend.selectAll("*").remove();
+        shown().forEach(d => {
+            legend.append("div")
+                .style("color", color(d[xAxisLabel]))
+                .text(sliceLabel(d));
+        });
+      }
+
+      drawLegend();
+
+      // The CSV download contains the label and value of each slice.
+      if (options.export.enabled) {
+        addExportControls(chartLocation, svg.node().ownerSVGElement, options, () => ({
+          columns: [xAxisLabel, yAxisLabel],
+          rows: data,
+        }));
+      }
+
+      /*
+        Accessibility (see chart-accessibility.js): a title and a
+        description for screen readers, the arrow keys outline the
+        slices one by one, and a button shows the data as a table.
+      */
+      function chartTitle() {
+        if (options.accessibility.title) {
+          return options.accessibility.title;
+        }
+        const aggregated = options.aggregation.method !== "sum" || options.aggregation.groupBy;
+        return `Pie chart of ${aggregated ? aggregationMethods[options.aggregation.method].describe(yAxisLabel) : yAxisLabel} by ${xAxisLabel}`;
+      }
+      // Share of a slice in its ring.
+      function share(d) {
+        return ringShare(rings, d, d => d[yAxisLabel]);
+      }
+      function describe() {
+        const drawn = shown();
+        const total = d3.sum(drawn, d => d[yAxisLabel]);
+        const largest = d3.greatest(drawn, d => Math.abs(d[yAxisLabel]));
+        // Slices which are all zero have no largest one.
+        const largestText = largest[yAxisLabel] ? `; the largest is ${sliceName(largest)} with ${describeNumber(largest[yAxisLabel])} (${percent(share(largest))})` : "";
+        describeChart(svg.node().ownerSVGElement, chartTitle(),
+          `${drawn.length} slices totalling ${describeNumber(total)}${largestText}.${notice ? ` ${notice}` : ""} ${keyboardHint}`);
+      }
+      describe();
+
+      addKeyboardNavigation(chartLocation, svg.node().ownerSVGElement, {
+        count: () => shown().length,
+        focus(index) {
+          svg.selectAll(".arc path")
+            .style("stroke", (d, i) => i === index ? options.theme.foreground : null)
+            .style("stroke-width", (d, i) => i === index ? 2 : null);
+          const d = shown()[index];
+          return `${sliceName(d)}: ${yAxisLabel} ${d[yAxisLabel]} (${percent(share(d))})`;
+        },
+        blur: () => svg.selectAll(".arc path").style("stroke", null).style("stroke-width", null),
       });
-  }).catch(error => {
-    console.error('Error loading or parsing data:', error);
+
+      const dataTable = options.accessibility.table
+        ? addDataTable(chartLocation, () => ({ caption: chartTitle(), columns: [xAxisLabel, yAxisLabel], rows: data }))
+        : null;
+
+      return {
+        update(loaded) {
+          ({ data, xAxisLabel, yAxisLabel, rings, notice, sliceName } = slices(loaded));
+          setNotice(notice);
+          draw(750);
+          drawLegend();
+          describe();
+          if (dataTable) {
+            dataTable.refresh();
+          }
+        },
+        resize(size) {
+          width = size.width - margin.left - margin.right;
+          height = size.height - margin.top - margin.bottom;
+          d3.select(svg.node().ownerSVGElement)
+            .attr("width", size.width)
+            .attr("height", size.height);
+          draw();
+        },
+      };
   });
 
 }
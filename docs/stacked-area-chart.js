@@ -0,0 +1,498 @@
+/**
+ * Ways of stacking the areas, by name of the areas.offset option:
+ *   - stacked: on top of each other from zero, the top edge being the
+ *     total.
+ *   - normalized: stacked to 100%, each area showing its share of the
+ *     total.
+ *   - streamgraph: around a wiggling baseline which keeps the layers as
+ *     flat as it can, the thickest in the middle; the y axis is left out
+ *     since the baseline has no meaning.
+ *   - diverging: positive values stacked up from zero and negative values
+ *     down, for columns of both signs, as diverging bar charts.
+ * Each has its title, for screen readers, and the d3.stack() offset and
+ * order it uses. Only diverging areas can show negative values.
+ */
+const areaOffsets = {
+    stacked: { title: 'Stacked area chart', offset: d3.stackOffsetNone, order: d3.stackOrderNone },
+    normalized: { title: '100% stacked area chart', offset: d3.stackOffsetExpand, order: d3.stackOrderNone },
+    streamgraph: { title: 'Streamgraph', offset: d3.stackOffsetWiggle, order: d3.stackOrderInsideOut },
+    diverging: { title: 'Diverging stacked area chart', offset: d3.stackOffsetDiverging, order: d3.stackOrderNone },
+};
+
+/**
+ * Display a stacked area chart.
+ *
+ * @param {object} options
+ *   Chart options normalized by renderChart(), see render-chart.js. The
+ *   source is a location such as data/line-chart-multiple-lines.csv, laid
+ *   out as for multiple line charts: columns.x is the x axis column and
+ *   columns.y the array of columns stacked as areas. The areas option sets
+ *   how they are stacked.
+ *
+ * @return {object}
+ *   The chart handle, see createChartHandle().
+ *
+ * See https://d3-graph-gallery.com/stackedarea.html.
+ */
+function stackedAreaChart(options) {
+    const chartLocation = options.target;
+    const margin = options.margin;
+    // Size of the area where the chart is drawn, inside the margins.
+    let width = options.size.width - margin.left - margin.right;
+    let height = options.size.height - margin.top - margin.bottom;
+    const offset = areaOffsets[options.areas.offset];
+    const streamgraph = options.areas.offset === 'streamgraph';
+    const normalized = options.areas.offset === 'normalized';
+    const diverging = options.areas.offset === 'diverging';
+
+    /*
+        Create SVG element
+        chartLocation is a selector string or a reference to an
+        existing HTML element where the SVG will be inserted.
+        The group inside it is moved by the margins, so the areas are
+        drawn from (0, 0) to (width, height).
+    */
+    const svg = d3.select(chartLocation).append('svg')
+        .attr('width', options.size.width)
+        .attr('height', options.size.height)
+        .append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Background and font of the theme, see chart-themes.js.
+    applyChartTheme(svg.node().ownerSVGElement, options.theme);
+
+    /*
+        Read and parse the CSV file (see csv-schema.js): the x axis column is
+        converted to dates or numbers and the other columns to numbers, as
+        for multiple line charts.
+        They are replaced when the chart is updated with new data.
+    */
+    return createChartHandle(options, svg.node().ownerSVGElement, (loaded, handle, viewChanged) => {
+        let { columns: { x: xAxisColumn, y: columns }, xAxisValues } = loaded;
+        let data = areaRows(loaded);
+
+        /*
+            The rows, sorted by x so the row closest to the mouse can be
+            found by bisection. Areas stack values on top of each other, so
+            negative values, which would cross the layers under them, are
+            reported with their rows, unless the areas diverge from zero.
+        */
+        function areaRows(loaded) {
+            const issues = diverging ? [] : loaded.data.flatMap((d, i) => loaded.columns.y
+                .filter(column => d[column] < 0)
+                // The header is row 1, so the first data row is row 2.
+                .map(column => ({ row: i + 2, column, value: d[column], message: 'is negative' })));
+            if (issues.length > 0) {
+                throw new ChartDataError(`Stacked areas can't show negative values of ${[...new Set(issues.map(issue => issue.column))].join(', ')}, set areas.offset to "diverging" to stack them down from zero.`, issues);
+            }
+            return loaded.data.sort((a, b) => a[loaded.columns.x] - b[loaded.columns.x]);
+        }
+
+        /*
+            Define scales
+            The x scale is a time scale for dates, as in line charts (see
+            date-columns.js). The y scale fits the stacked areas: from zero
+            to the highest total, from 0 to 100% when normalized, around
+            the baseline of a streamgraph, or from the lowest negative total
+            to the highest positive one when diverging.
+        */
+        const x = createXScale(xAxisValues.isDate)
+            .domain(d3.extent(data, d => d[xAxisColumn]))
+            .range([0, width]);
+        const y = d3.scaleLinear()
+            .range([height, 0]);
+
+        const xAxis = configureXTicks(d3.axisBottom(x), data, xAxisValues.isDate, width, options);
+        const yAxis = () => normalized ? d3.axisLeft(y).tickFormat(d3.format('.0%')) : d3.axisLeft(y);
+
+        // Gridlines follow the y axis, which a streamgraph doesn't have.
+        const grid = svg.append('g')
+            .attr('class', 'grid')
+            .style('color', options.theme.grid)
+            .style('display', streamgraph ? 'none' : null);
+        const areaLayer = svg.append('g')
+            .attr('class', 'areas');
+        svg.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${height})`)
+            .style('display', options.axes.x ? null : 'none')
+            .call(xAxis)
+            .call(applyAxisTheme, options.theme);
+        svg.append('g')
+            .attr('class', 'y-axis')
+            .style('display', options.axes.y && !streamgraph ? null : 'none');
+
+        /*
+            Create dynamic checkboxes and legends, in a container of this
+            chart (see the legend option), as in multiple line charts:
+            unchecking a column flattens its area, and the others are
+            stacked again in its place. setColumns() adds and removes
+            checkboxes when the chart is updated with data which has other
+            columns; checkboxes of the columns which remain keep their
+            state.
+        */
+        const color = createColorScale(options.theme, columns);
+        const checkboxContainer = addLegendContainer(chartLocation, options, 'checkbox-container');
+        const checkboxes = {};
+        function setColumns(newColumns) {
+            Object.keys(checkboxes)
+                .filter(column => !newColumns.includes(column))
+                .forEach(column => {
+                    d3.select(checkboxes[column].parentNode).remove();
+                    delete checkboxes[column];
+                });
+            columns = newColumns;
+
+            columns.forEach(column => {
+                if (!checkboxes[column]) {
+                    const label = checkboxContainer.append('label')
+                        .style('display', 'block');
+                    checkboxes[column] = label.append('input')
+                        .attr('type', 'checkbox')
+                        .attr('data-column', column)
+                        .property('checked', true)
+                        .on('change', () => {
+                            updateAreas();
+                            viewChanged();
+                        })
+                        .node();
+                    label.append('span')
+                        .attr('class', 'area-color')
+                        .html(' &#9632;');
+                    label.append('span')
+                        .text(` ${column}`);
+                }
+                // Keep the checkboxes in the order of the columns, in the colors of the areas.
+                checkboxContainer.node().appendChild(checkboxes[column].parentNode);
+                d3.select(checkboxes[column].parentNode).select('.area-color')
+                    .style('color', color(column));
+            });
+        }
+        setColumns(columns);
+
+        // Columns whose checkbox is checked.
+        function selectedColumns() {
+            return columns.filter(column => checkboxes[column].checked);
+        }
+
+        /*
+            Stack the areas (see d3.stack()). Every column has a layer, the
+            unchecked ones with no thickness: toggling a column animates
+            the layers from one stack to the other, point by point, rather
+            than drawing them again. Each layer is an array of [y0, y1]
+            points, one per row, with its column as key and its place in
+            the stack, from the bottom, as index.
+        */
+        let layers = [];
+        function stackLayers(selected) {
+            return d3.stack()
+                .keys(columns)
+                .value((d, column) => selected.includes(column) ? d[column] : 0)
+                .offset(offset.offset)
+                .order(offset.order)(data);
+        }
+
+        const area = d3.area()
+            .x(point => x(point.data[xAxisColumn]))
+            .y0(point => y(point[0]))
+            .y1(point => y(point[1]));
+        // Areas of new columns grow from the top of the layer under them.
+        const flatArea = d3.area()
+            .x(point => x(point.data[xAxisColumn]))
+            .y(point => y(point[0]));
+
+        // Add tooltips
+        const tooltip = d3.select(chartLocation).append('div')
+            .attr('class', 'tooltip')
+            .style('opacity', 0)
+            .style('position', 'absolute')
+            .style('background-color', options.theme.tooltip.background)
+            .style('color', options.theme.tooltip.color)
+            .style('border', options.theme.tooltip.border)
+            .style('padding', '5px')
+            .style('border-radius', '4px');
+
+        /*
+            Hovering anywhere over the chart shows a vertical crosshair at
+            the closest row and a tooltip listing the values of the selected
+            columns at that row, top layer first, and their total. An
+            invisible rectangle over the chart follows the mouse.
+        */
+        const crosshair = svg.append('line')
+            .attr('class', 'crosshair')
+            .attr('y1', 0)
+            .style('pointer-events', 'none')
+            .style('display', 'none')
+            .style('stroke', options.theme.foreground)
+            .style('stroke-opacity', .5)
+            .style('stroke-dasharray', '3,3');
+        const xBisector = d3.bisector(d => d[xAxisColumn]);
+
+        function showTooltip(event, row) {
+            const selected = selectedColumns();
+            const total = d3.sum(selected, column => row[column]);
+            const share = value => total ? ` (${d3.format('.1%')(value / total)})` : '';
+            /*
+                Top layer first. Diverging areas are stacked both up and
+                down from zero, so the layers are listed by where they are
+                at this row rather than by their place in the stack.
+            */
+            const index = data.indexOf(row);
+            const middle = column => {
+                const point = layers.find(layer => layer.key === column)[index];
+                return (point[0] + point[1]) / 2;
+            };
+
+            tooltip.selectAll('*').remove();
+            tooltip.append('div')
+                .style('font-weight', 'bold')
+                .text(`${xAxisColumn}: ${xAxisValues.format(row[xAxisColumn])}`);
+            d3.sort(selected, column => -middle(column)).forEach(column => {
+                const item = tooltip.append('div');
+                item.append('span')
+                    .style('color', color(column))
+                    .html('&#9632; ');
+                item.append('span')
+                    .text(`${column}: ${row[column]}${normalized ? share(row[column]) : ''}`);
+            });
+            tooltip.append('div')
+                .text(`${diverging ? 'Net total' : 'Total'}: ${total}`);
+            tooltip
+                .style('left', `${event.pageX + 5}px`)
+                .style('top', `${event.pageY - 28}px`);
+        }
+
+        // Place the crosshair on a row, or hide it for null.
+        function drawCrosshair(row) {
+            crosshair
+                .style('display', row ? null : 'none')
+                .attr('x1', row ? x(row[xAxisColumn]) : 0)
+                .attr('x2', row ? x(row[xAxisColumn]) : 0)
+                .attr('y2', height);
+        }
+
+        svg.append('rect')
+            .attr('class', 'hover-area')
+            .attr('width', width)
+            .attr('height', height)
+            .style('fill', 'none')
+            .style('pointer-events', 'all')
+            .on('mouseover', () => tooltip.transition().duration(200).style('opacity', .9))
+            .on('mousemove', event => {
+                const [mx] = d3.pointer(event, svg.node());
+                const row = data[xBisector.center(data, x.invert(mx))];
+                drawCrosshair(row);
+                showTooltip(event, row);
+            })
+            .on('mouseout', () => {
+                drawCrosshair(null);
+                tooltip.transition().duration(500).style('opacity', 0);
+            });
+
+        /*
+            Update function for areas
+            The function stacks the selected columns again, fits the y
+            scale to the stack and moves the axis and the areas to it.
+            transitionDuration is 0 to update without animation, as when
+            resizing.
+        */
+        function updateAreas(transitionDuration = 750) {
+            layers = stackLayers(selectedColumns());
+            const [low, high] = d3.extent(layers.flat(2));
+            // Diverging stacks reach down to the lowest negative total, others start at zero.
+            y.domain(streamgraph ? [low, high] : [diverging ? low : 0, normalized ? 1 : high || (low < 0 ? 0 : 1)]);
+            if (!streamgraph && !normalized) {
+                y.nice();
+            }
+
+            svg.select('.y-axis')
+                .transition()
+                .duration(transitionDuration)
+                .call(yAxis());
+            svg.select('.y-axis').call(applyAxisTheme, options.theme);
+            grid.transition()
+                .duration(transitionDuration)
+                .call(d3.axisLeft(y)
+                    .tickSize(-width)
+                    .tickFormat('')
+                );
+
+            /*
+                Join the layers to their paths, by column: new columns grow
+                from the layer under them, removed columns fade out, and
+                the others move to their new place in the stack.
+            */
+            areaLayer.selectAll('path.area')
+                .data(layers, layer => layer.key)
+                .join(
+                    enter => enter.append('path')
+                        .attr('class', 'area')
+                        .attr('data-column', layer => layer.key)
+                        // The hover area over the chart shows the tooltip.
+                        .style('pointer-events', 'none')
+                        .attr('d', flatArea),
+                    update => update,
+                    exit => exit.transition()
+                        .duration(transitionDuration)
+                        .style('opacity', 0)
+                        .remove()
+                )
+                .style('fill', layer => color(layer.key))
+                .transition()
+                .duration(transitionDuration)
+                .attr('d', area);
+        }
+
+        // Initial rendering of areas and y-axis
+        updateAreas();
+
+        // The CSV download contains the selected columns.
+        if (options.export.enabled) {
+            addExportControls(chartLocation, svg.node().ownerSVGElement, options, () => {
+                const selected = selectedColumns();
+                return {
+                    columns: [xAxisColumn].concat(selected),
+                    rows: data.map(d => {
+                        const row = { [xAxisColumn]: xAxisValues.format(d[xAxisColumn]) };
+                        selected.forEach(column => row[column] = d[column]);
+                        return row;
+                    }),
+                };
+            });
+        }
+
+        /*
+            Accessibility (see chart-accessibility.js): a title and a
+            description for screen readers, the arrow keys move through the
+            rows (left and right) and the selected columns (up and down)
+            showing the same tooltip as the mouse, and a button shows the
+            data as a table.
+        */
+        const chartTitle = () => options.accessibility.title || `${offset.title} of ${columns.join(', ')} by ${xAxisColumn}`;
+        function describe() {
+            const ranges = columns.map(column => describeRange(data, column)).join('; ');
+            const [first, last] = x.domain().map(xAxisValues.format);
+            describeChart(svg.node().ownerSVGElement, chartTitle(),
+                `${data.length} rows from ${xAxisColumn} ${first} to ${last}; ${ranges}. ${keyboardHint}`);
+        }
+        describe();
+
+        addKeyboardNavigation(chartLocation, svg.node().ownerSVGElement, {
+            count: () => data.length,
+            seriesCount: () => selectedColumns().length,
+            focus(index, series) {
+                const row = data[index];
+                const column = selectedColumns()[series];
+                const point = layers.find(layer => layer.key === column)[index];
+                const cy = y((point[0] + point[1]) / 2);
+                drawCrosshair(row);
+                // The focused area has a dot in the middle of its thickness.
+                svg.selectAll('.focus-point')
+                    .data([row])
+                    .join('circle')
+                    .attr('class', 'focus-point')
+                    .attr('r', 5)
+                    .attr('cx', x(row[xAxisColumn]))
+                    .attr('cy', cy)
+                    .style('fill', options.theme.foreground);
+
+                // Place the tooltip by the point, as the mouse would.
+                const box = svg.node().ownerSVGElement.getBoundingClientRect();
+                showTooltip({
+                    pageX: box.left + window.scrollX + margin.left + x(row[xAxisColumn]),
+                    pageY: box.top + window.scrollY + margin.top + cy,
+                }, row);
+                tooltip.interrupt().style('opacity', .9);
+                return `${xAxisColumn} ${xAxisValues.format(row[xAxisColumn])}, ${column}: ${row[column]}`;
+            },
+            blur() {
+                drawCrosshair(null);
+                svg.selectAll('.focus-point').remove();
+                tooltip.transition().duration(500).style('opacity', 0);
+            },
+        });
+
+        const dataTable = options.accessibility.table
+            ? addDataTable(chartLocation, () => ({
+                caption: chartTitle(),
+                columns: [xAxisColumn].concat(columns),
+                rows: data.map(d => {
+                    const row = { [xAxisColumn]: xAxisValues.format(d[xAxisColumn]) };
+                    columns.forEach(column => row[column] = d[column]);
+                    return row;
+                }),
+            }))
+            : null;
+
+        /*
+            Display new data (see createChartHandle()): the x axis moves to
+            the new extent and updateAreas() stacks the new values.
+        */
+        function update(loaded) {
+            if (loaded.xAxisValues.isDate !== xAxisValues.isDate) {
+                const kind = isDate => isDate ? 'dates' : 'numbers';
+                throw new ChartDataError(`The ${loaded.columns.x} column of the new data contains ${kind(loaded.xAxisValues.isDate)}, but the chart displays ${kind(xAxisValues.isDate)}.`);
+            }
+            const rows = areaRows(loaded);
+
+            ({ columns: { x: xAxisColumn }, xAxisValues } = loaded);
+            data = rows;
+            setColumns(loaded.columns.y);
+            drawCrosshair(null);
+            svg.selectAll('.focus-point').remove();
+
+            x.domain(d3.extent(data, d => d[xAxisColumn]));
+            configureXTicks(xAxis, data, xAxisValues.isDate, width, options);
+            svg.select('.x-axis')
+                .transition()
+                .duration(750)
+                .call(xAxis);
+            updateAreas();
+            describe();
+            if (dataTable) {
+                dataTable.refresh();
+            }
+        }
+
+        /*
+            Responsive charts (see render-chart.js) are laid out again in
+            place when resized, without animation.
+        */
+        function resize(size) {
+            width = size.width - margin.left - margin.right;
+            height = size.height - margin.top - margin.bottom;
+            d3.select(svg.node().ownerSVGElement)
+                .attr('width', size.width)
+                .attr('height', size.height);
+
+            x.range([0, width]);
+            y.range([height, 0]);
+            configureXTicks(xAxis, data, xAxisValues.isDate, width, options);
+            svg.select('.x-axis')
+                .attr('transform', `translate(0,${height})`)
+                .call(xAxis);
+            svg.select('.hover-area')
+                .attr('width', width)
+                .attr('height', height);
+            updateAreas(0);
+        }
+
+        /*
+            The view, see getView() in createChartHandle(): the selected
+            columns. It is kept in the URL with the urlState option (see
+            url-state.js).
+        */
+        function getView() {
+            const selected = selectedColumns();
+            return { series: selected.length === columns.length ? null : selected };
+        }
+
+        function setView(view) {
+            // Columns the data no longer has are ignored.
+            columns.forEach(column => checkboxes[column].checked = !view.series || view.series.includes(column));
+            updateAreas();
+        }
+
+        return { update, resize, getView, setView };
+    });
+}
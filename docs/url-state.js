@@ -0,0 +1,217 @@
+/**
+ * Charts whose view and settings are kept in the URL.
+ *
+ * With the urlState option, what the visitor changes in a chart (the lines
+ * selected, the zoomed x range) and its settings (type, theme, aggregation)
+ * are written to the hash of the page's URL, such as
+ * #sales.series=amount1&sales.series=amount3&sales.zoom=10&sales.zoom=20,
+ * and read back when the page is loaded: a shared or bookmarked URL shows
+ * the same view. Each change adds an entry to the browser's history, so the
+ * back and forward buttons go through the views. See createUrlStateChart().
+ */
+
+/**
+ * Settings of a chart kept in the URL, by parameter name, each with the
+ * options setting it to a value read from the URL.
+ */
+const urlSettings = {
+    type: (options, type) => ({ type }),
+    theme: (options, name) => ({ theme: Object.assign({}, options.theme, { name }) }),
+    method: (options, method) => ({ aggregation: Object.assign({}, options.aggregation, { method }) }),
+    groupBy: (options, groupBy) => ({ aggregation: Object.assign({}, options.aggregation, { groupBy }) }),
+};
+
+/**
+ * Read the parameters in the hash of the page's URL.
+ *
+ * @return {URLSearchParams}
+ *   The parameters, such as sales.theme=dark.
+ */
+function readUrlParams() {
+    return new URLSearchParams(window.location.hash.slice(1));
+}
+
+/**
+ * Read the state of a chart from the URL.
+ *
+ * @param {string} key
+ *   The name of the chart in the URL, see the urlState option.
+ *
+ * @return {object}
+ *   {series, zoom, type, theme, method, groupBy}, each null if not in the
+ *   URL. series is an array of column names, possibly empty; zoom is
+ *   [from, to], as strings.
+ */
+function readUrlState(key) {
+    const params = readUrlParams();
+    const values = name => params.has(`${key}.${name}`) ? params.getAll(`${key}.${name}`) : null;
+    const series = values('series');
+    const zoom = values('zoom');
+    const state = {
+        // An empty value stands for no line selected.
+        series: series && series.filter(column => column !== ''),
+        zoom: zoom && zoom.length === 2 ? zoom : null,
+    };
+    Object.keys(urlSettings).forEach(name => state[name] = values(name) && values(name)[0]);
+    return state;
+}
+
+/**
+ * Write the state of a chart to the URL.
+ *
+ * @param {string} key
+ *   The name of the chart in the URL, see the urlState option.
+ * @param {object} state
+ *   Parameters to set, as readUrlState() returns them; null or undefined
+ *   removes a parameter. Dates are written as ISO 8601 strings, and
+ *   numbers with 8 significant digits.
+ * @param {bool} replace
+ *   True to replace the current entry of the browser's history, rather
+ *   than add one.
+ */
+function writeUrlState(key, state, replace) {
+    const params = readUrlParams();
+    const before = params.toString();
+    // Zoomed ranges are rounded, to keep the URL short.
+    const format = value => {
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        return typeof value === 'number' ? String(+value.toPrecision(8)) : String(value);
+    };
+
+    Object.keys(state).forEach(name => {
+        const param = `${key}.${name}`;
+        const value = state[name];
+        params.delete(param);
+        if (Array.isArray(value)) {
+            (value.length > 0 ? value : ['']).forEach(item => params.append(param, format(item)));
+        }
+        else if (value !== null && value !== undefined) {
+            params.append(param, format(value));
+        }
+    });
+
+    const hash = params.toString();
+    if (hash === before) {
+        return;
+    }
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    if (replace) {
+        window.history.replaceState(window.history.state, '', url);
+    }
+    else {
+        window.history.pushState(null, '', url);
+    }
+}
+
+/**
+ * Apply the settings of the URL to the options of a chart.
+ *
+ * Each setting is only kept if the options remain valid with it, so a URL
+ * written for other options, or edited by hand, can't break the chart.
+ *
+ * @param {object} options
+ *   Valid options, as passed to renderChart().
+ * @param {object} state
+ *   The state read from the URL, see readUrlState().
+ *
+ * @return {object}
+ *   New options.
+ */
+function applyUrlSettings(options, state) {
+    return Object.keys(urlSettings)
+        .filter(name => state[name] !== null)
+        .reduce((applied, name) => {
+            const candidate = Object.assign({}, applied, urlSettings[name](applied, state[name]));
+            return validateChartOptions(candidate).length === 0 ? candidate : applied;
+        }, options);
+}
+
+/**
+ * Display a chart whose view and settings are kept in the URL.
+ *
+ * The settings in the URL are applied when the chart is drawn, and its view
+ * (see getView() in createChartHandle()) once the data is loaded. When the
+ * visitor changes the view, it is written to the URL as a new entry of the
+ * browser's history. Going back or forward shows the view of the URL, or
+ * draws the chart again if its settings changed.
+ *
+ * @param {object} options
+ *   Valid options, as passed to renderChart(), with urlState enabled.
+ * @param {function} draw
+ *   Draws a chart from valid options and returns its handle, see
+ *   drawChart().
+ *
+ * @return {object}
+ *   A chart handle, as returned by createChartHandle(), which keeps working
+ *   when the chart is drawn again, plus configure(settings) to change the
+ *   settings, such as {theme: 'dark'} or {type: 'aggregated-pie', method:
+ *   'mean'} (null to go back to the options), adding an entry to the
+ *   browser's history.
+ */
+function createUrlStateChart(options, draw) {
+    const key = options.urlState.key || d3.select(options.target).node().id;
+    const settingNames = Object.keys(urlSettings);
+    // Listeners added with on(), added again to each chart drawn.
+    const listeners = [];
+    // The last data displayed, also drawn by charts drawn again.
+    let source = options.source;
+    let chart = null;
+    let settings = null;
+
+    function drawWithUrlSettings() {
+        const state = readUrlState(key);
+        settings = settingNames.map(name => state[name]).join('&');
+        chart = draw(applyUrlSettings(Object.assign({}, options, { source }), state));
+        listeners.forEach(([type, listener]) => chart.on(type, listener));
+        chart
+            .on('load.url-state', () => chart.setView(readUrlState(key)))
+            .on('view.url-state', view => writeUrlState(key, view));
+    }
+
+    function redraw() {
+        // Listeners of the page aren't told the chart is destroyed: it is drawn again.
+        listeners.forEach(([type]) => chart.on(type, null));
+        chart.destroy();
+        drawWithUrlSettings();
+    }
+
+    function onPopState() {
+        const state = readUrlState(key);
+        if (settingNames.map(name => state[name]).join('&') !== settings) {
+            redraw();
+        }
+        else {
+            chart.setView(state);
+        }
+    }
+    window.addEventListener('popstate', onPopState);
+    drawWithUrlSettings();
+
+    const handle = {
+        update: dataOrSource => chart.update(dataOrSource).then(loaded => {
+            source = dataOrSource;
+            return loaded;
+        }),
+        getView: () => chart.getView(),
+        setView(view) {
+            chart.setView(view);
+            writeUrlState(key, chart.getView());
+        },
+        configure(changes) {
+            writeUrlState(key, changes);
+            redraw();
+        },
+        destroy() {
+            window.removeEventListener('popstate', onPopState);
+            chart.destroy();
+        },
+        on(type, listener) {
+            listeners.push([type, listener]);
+            chart.on(type, listener);
+            return handle;
+        },
+    };
+    return handle;
+}
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * Render a chart of a CSV file as a standalone SVG file, without a browser.
+ *
+ * The chart scripts of ./docs run unchanged in jsdom, a DOM implementation
+ * for Node: renderChart() draws the chart as on a page, animations are run
+ * to their end, and the SVG is serialized with its styles inlined, as by the
+ * "Download SVG" button (see serializeChartSvg() in chart-export.js).
+ *
+ * Usage:
+ *
+ *   node scripts/csv-to-d3.js render --type multi-line data.csv -o out.svg
+ *
+ * Requires the jsdom and d3 packages, for example installed with
+ * "npm install --no-save jsdom d3@7" or found through NODE_PATH; see
+ * ./scripts/csv-to-d3.sh to run it with Docker instead.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+const usage = `Usage: csv-to-d3 render --type TYPE [options] FILE.csv
+
+Render FILE.csv as a chart and write it as a standalone SVG file.
+
+Options:
+  -t, --type TYPE     line, multi-line, pie, aggregated-pie, bar,
+                      stacked-area or heatmap.
+  -o, --output FILE   Where to write the SVG, by default the standard output.
+  -x, --x COLUMN      The x axis (or slice label, or bar group) column.
+  -y, --y COLUMNS     The value column, or comma-separated value columns.
+  -W, --width PIXELS  Width of the SVG (800 by default).
+  -H, --height PIXELS Height of the SVG (400 by default).
+      --options FILE  JSON file of other renderChart() options, such as
+                      margin, dates or theme (see docs/render-chart.js).
+      --css FILE      Stylesheet applied to the chart, such as docs/style.css.
+  -h, --help          Show this help.
+`;
+
+/**
+ * Scripts of ./docs run in the DOM, in order: shared scripts first, then
+ * the charts.
+ */
+const chartScripts = [
+    'render-chart.js',
+    'csv-schema.js',
+    'data-sources.js',
+    'date-columns.js',
+    'performance.js',
+    'chart-export.js',
+    'chart-accessibility.js',
+    'chart-themes.js',
+    'aggregation.js',
+    'pie-labels.js',
+    'annotations.js',
+    'overlays.js',
+    'simple-line-chart.js',
+    'line-chart-multiple-lines.js',
+    'simple-pie-chart.js',
+    'pie-chart-multiple-amount-aggregated.js',
+    'bar-chart.js',
+    'stacked-area-chart.js',
+    'heatmap-chart.js',
+];
+
+/**
+ * Longest time, in milliseconds of the simulated clock, animations are run
+ * for before the chart is considered drawn.
+ */
+const maxAnimationTime = 10 * 60 * 1000;
+
+/**
+ * Error reported to the user without a stack trace.
+ */
+class UsageError extends Error {}
+
+/**
+ * Read the command line.
+ *
+ * @param {string[]} args
+ *   The arguments after "node csv-to-d3.js".
+ *
+ * @return {object|null}
+ *   {file, output, css, options}, where options are the renderChart()
+ *   options without source and target, or null if help was requested.
+ */
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            type: { type: 'string', short: 't' },
+            output: { type: 'string', short: 'o' },
+            x: { type: 'string', short: 'x' },
+            y: { type: 'string', short: 'y' },
+            width: { type: 'string', short: 'W' },
+            height: { type: 'string', short: 'H' },
+            options: { type: 'string' },
+            css: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    if (values.help) {
+        return null;
+    }
+    const [command, file, ...rest] = positionals;
+    if (command !== 'render') {
+        throw new UsageError(command ? `Unknown command "${command}".` : 'Missing command.');
+    }
+    if (!file || rest.length > 0) {
+        throw new UsageError('Expected exactly one CSV file.');
+    }
+    if (!values.type) {
+        throw new UsageError('Missing --type.');
+    }
+
+    const options = values.options ? JSON.parse(fs.readFileSync(values.options, 'utf8')) : {};
+    // "multiline" is accepted for "multi-line", and so on.
+    options.type = values.type.replace(/^(multi|aggregated)-?/, '$1-');
+    if (values.x !== undefined || values.y !== undefined) {
+        options.columns = Object.assign({}, options.columns);
+        if (values.x !== undefined) {
+            options.columns.x = values.x;
+        }
+        if (values.y !== undefined) {
+            const columns = values.y.split(',').map(column => column.trim());
+            // Validation (see validateChartOptions()) says which charts take several columns.
+            options.columns.y = ['multi-line', 'aggregated-pie', 'bar', 'stacked-area', 'heatmap'].includes(options.type) ? columns : columns.join(',');
+        }
+    }
+    if (values.width !== undefined || values.height !== undefined) {
+        options.size = Object.assign({}, options.size);
+        if (values.width !== undefined) {
+            options.size.width = +values.width;
+        }
+        if (values.height !== undefined) {
+            options.size.height = +values.height;
+        }
+    }
+
+    return { file, output: values.output, css: values.css, options };
+}
+
+/**
+ * Create a DOM in which the chart scripts can run.
+ *
+ * @param {string} css
+ *   Optional location of a stylesheet to add to the page.
+ *
+ * @return {object}
+ *   {dom, run, errors}: the JSDOM instance, run(code, filename) to run a
+ *   script in the page, and the messages the page logged with
+ *   console.error().
+ */
+function createPage(css) {
+    const { JSDOM, VirtualConsole } = require('jsdom');
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', message => errors.push(String(message)));
+
+    const style = css ? `<style>${fs.readFileSync(css, 'utf8')}</style>` : '';
+    const dom = new JSDOM(`<!doctype html><html><head>${style}</head><body><div id="chart"></div></body></html>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole,
+    });
+    const window = dom.window;
+
+    // d3.csv() fetches the CSV file; read it from the disk instead.
+    window.fetch = url => fs.promises.readFile(path.resolve(url))
+        .then(contents => new Response(contents))
+        .catch(() => new Response(null, { status: 404, statusText: `Not Found: ${url}` }));
+
+    /*
+        jsdom has no SVG transform lists, which D3 reads when animating a
+        transform attribute (the axes do); from an empty list animations
+        still end on the right transform.
+    */
+    if (!('transform' in window.SVGElement.prototype)) {
+        Object.defineProperty(window.SVGElement.prototype, 'transform', {
+            get: () => ({ baseVal: { consolidate: () => null } }),
+        });
+    }
+
+    // Animations run on a simulated clock, see finishAnimations().
+    let clockOffset = 0;
+    const now = window.performance.now.bind(window.performance);
+    window.performance.now = () => now() + clockOffset;
+    window.advanceClock = milliseconds => clockOffset += milliseconds;
+
+    /*
+        The scripts run in the context of the page, like <script> tags: their
+        top-level functions and constants are shared, as on a page.
+    */
+    const context = dom.getInternalVMContext();
+    const run = (code, filename) => new vm.Script(code, { filename }).runInContext(context);
+
+    return { dom, run, errors };
+}
+
+/**
+ * Run the animations of a chart to their end.
+ *
+ * D3 transitions are timed with performance.now(), so the clock is moved
+ * forward until no element of the chart is animated any more.
+ *
+ * @param {object} page
+ *   What createPage() returned.
+ * @param {Element} node
+ *   The element whose animations are run.
+ *
+ * @return {Promise}
+ *   Resolves once no element is animated.
+ */
+function finishAnimations(page, node) {
+    const window = page.dom.window;
+    const isAnimated = () => [node, ...node.querySelectorAll('*')].some(element => element.__transition);
+    // D3 reads the clock once per animation frame.
+    const nextFrame = () => new Promise(resolve => window.requestAnimationFrame(resolve));
+
+    let elapsed = 0;
+    const step = () => {
+        if (!isAnimated() || elapsed > maxAnimationTime) {
+            return Promise.resolve();
+        }
+        window.advanceClock(1000);
+        elapsed += 1000;
+        return nextFrame().then(() => {
+            window.d3.timerFlush();
+            return step();
+        });
+    };
+    return nextFrame().then(step);
+}
+
+/**
+ * Describe the problems of a ChartDataError, one per line.
+ *
+ * @param {Error} error
+ *   The error, whose issues (see ChartDataError) are listed if any.
+ *
+ * @return {string}
+ *   The message and the issues.
+ */
+function describeError(error) {
+    const issues = (error.issues || []).map(issue => `  row ${issue.row}, column ${issue.column}: "${issue.value}" ${issue.message}`);
+    return [error.message].concat(issues).join('\n');
+}
+
+/**
+ * Render a CSV file as an SVG chart.
+ *
+ * @param {string} file
+ *   Location of the CSV file.
+ * @param {object} options
+ *   renderChart() options, without source and target.
+ * @param {string} css
+ *   Optional location of a stylesheet applied to the chart.
+ *
+ * @return {Promise}
+ *   Resolves with the SVG markup, or rejects with an Error explaining why
+ *   the chart can't be drawn.
+ */
+function renderSvg(file, options, css) {
+    const page = createPage(css);
+    const docs = path.join(__dirname, '..', 'docs');
+
+    // The browser build of D3, which defines the d3 global like the page's <script> tag.
+    const d3Source = path.join(path.dirname(require.resolve('d3')), '..', 'dist', 'd3.min.js');
+    page.run(fs.readFileSync(d3Source, 'utf8'), d3Source);
+    chartScripts.forEach(script => {
+        const location = path.join(docs, script);
+        page.run(fs.readFileSync(location, 'utf8'), location);
+    });
+
+    return new Promise((resolve, reject) => {
+        page.dom.window.renderOptions = Object.assign({}, options, { source: file, target: '#chart' });
+        const chart = page.run('renderChart(renderOptions)', 'csv-to-d3');
+        if (!chart) {
+            reject(new UsageError(page.errors[0] || 'Invalid chart options.'));
+            return;
+        }
+        chart
+            .on('load', () => {
+                const svgNode = page.dom.window.document.querySelector('#chart svg');
+                finishAnimations(page, svgNode)
+                    .then(() => resolve(page.run('serializeChartSvg(document.querySelector("#chart svg"))', 'csv-to-d3')))
+                    .catch(reject);
+            })
+            .on('error', error => reject(new UsageError(describeError(error))));
+    }).finally(() => page.dom.window.close());
+}
+
+if (require.main === module) {
+    let commandLine;
+    try {
+        commandLine = parseCommandLine(process.argv.slice(2));
+    }
+    catch (error) {
+        process.stderr.write(`${error.message}\n\n${usage}`);
+        process.exit(2);
+    }
+    if (!commandLine) {
+        process.stdout.write(usage);
+        process.exit(0);
+    }
+
+    renderSvg(commandLine.file, commandLine.options, commandLine.css)
+        .then(svg => {
+            if (commandLine.output) {
+                fs.writeFileSync(commandLine.output, `${svg}\n`);
+            }
+            else {
+                process.stdout.write(`${svg}\n`);
+            }
+        })
+        .catch(error => {
+            process.stderr.write(`${error instanceof UsageError ? error.message : error.stack}\n`);
+            process.exit(1);
+        });
+}
+
+module.exports = { renderSvg };
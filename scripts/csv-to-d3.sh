@@ -0,0 +1,17 @@
+#!/bin/bash
+set -e
+
+# Render a CSV file as an SVG chart without a browser, for example:
+#
+#   ./scripts/csv-to-d3.sh render --type multi-line docs/data/line-chart-multiple-lines.csv -o chart.svg
+#
+# See ./scripts/csv-to-d3.js. Node runs in Docker; jsdom and D3 are installed
+# the first time in the csvtod3-node-modules volume. Files must be in the
+# current directory.
+
+docker run --rm -i \
+  -v "$PWD":/app -w /app \
+  -v csvtod3-node-modules:/deps \
+  -e NODE_PATH=/deps/node_modules \
+  node:20-alpine \
+  sh -c '[ -d /deps/node_modules/jsdom ] || npm install --prefix /deps --no-save --silent jsdom d3@7 >&2; node scripts/csv-to-d3.js "$@"' csv-to-d3 "$@"